@@ -139,6 +139,8 @@ class AuthManager {
                 averageAccuracy: 0,
                 totalPlayTime: 0,
                 totalCombo: 0,
+                totalHints: 0,
+                dailiesPlayed: 0,
                 favoriteTheme: null
             }
         });
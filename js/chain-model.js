@@ -0,0 +1,217 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * CHAIN MODEL - Цепочка: левая → средняя → правая
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * На доске три колонки, у каждой пары есть средняя карточка (middle).
+ * Связываются только соседние колонки - через среднюю, alsoMatches
+ * не действует. Первое звено приносит chainLinkScore, карточка остаётся
+ * на доске связанной (state: linked); второе собирает цепочку -
+ * начисляются полные очки пары.
+ *
+ * Всё остальное - от GameModel: подбор пар, замены на доске,
+ * подсказки, журнал ходов, итоги и сохранение партии.
+ */
+
+class ChainModel extends GameModel {
+    /**
+     * @param {Object} options - Как у GameModel
+     */
+    constructor(options = {}) {
+        super(options);
+
+        this.mode = 'chain';
+    }
+
+    getSides() {
+        return CARD_SIDES;
+    }
+
+    /**
+     * Карточки пары + средняя, к которой привязываются левая и правая
+     */
+    createPairCards(pair, index) {
+        const cards = super.createPairCards(pair, index);
+
+        const middle = {
+            id: `card_middle_${pair.pairId}_${index}`,
+            pairId: pair.pairId,
+            side: 'middle',
+            text: pair.middleText,
+            linkedLeft: null,
+            linkedRight: null,
+            state: 'pool',
+            position: index
+        };
+        if (pair.source) middle.source = pair.source;
+
+        return [...cards, middle];
+    }
+
+    /**
+     * Звенья только через среднюю колонку, alsoMatches не действует
+     */
+    cardsMatch(cardA, cardB) {
+        return cardA.side !== cardB.side &&
+            (cardA.side === 'middle' || cardB.side === 'middle') &&
+            cardA.pairId === cardB.pairId;
+    }
+
+    /**
+     * Без alsoMatches совпадение партию не блокирует
+     */
+    isMatchBlocked() {
+        return false;
+    }
+
+    /**
+     * Связываются только соседние колонки, и каждое звено - один раз
+     */
+    getMoveError(card1, card2) {
+        const middle = [card1, card2].find(c => c.side === 'middle');
+        if (!middle) {
+            console.warn('⚠️ Колонки не соседние');
+            return 'NOT_ADJACENT';
+        }
+
+        const other = middle === card1 ? card2 : card1;
+        if (middle[other.side === 'left' ? 'linkedLeft' : 'linkedRight']) {
+            console.warn('⚠️ Это звено цепочки уже собрано');
+            return 'ALREADY_LINKED';
+        }
+
+        return null;
+    }
+
+    /**
+     * Карточки собранной цепочки или null, если связаны не оба звена
+     * @param {Object} middle - Средняя карточка (linkedLeft/linkedRight - id связанных карточек)
+     */
+    getChainCards(middle) {
+        if (!middle.linkedLeft || !middle.linkedRight) return null;
+
+        return {
+            left: this.cards.find(c => c.id === middle.linkedLeft),
+            middle,
+            right: this.cards.find(c => c.id === middle.linkedRight)
+        };
+    }
+
+    /**
+     * Есть ли среди карточек цепочка, которую можно собрать целиком
+     * (карточки одной пары во всех трёх колонках)
+     */
+    hasMatchAmong(leftCards, middleCards, rightCards) {
+        const alive = cards => new Set(cards.filter(c => c.state !== 'matched').map(c => c.pairId));
+        const middleIds = alive(middleCards);
+        const rightIds = alive(rightCards);
+
+        return [...alive(leftCards)].some(pairId => middleIds.has(pairId) && rightIds.has(pairId));
+    }
+
+    getReshuffleSides() {
+        return ['middle', 'right'];
+    }
+
+    /**
+     * Что нужно от новой средней или правой карточки, чтобы цепочку было можно собрать
+     */
+    getReplacementCheck(side, board) {
+        const alivePairIds = cards => new Set(cards.filter(c => c.state !== 'matched').map(c => c.pairId));
+        const leftIds = alivePairIds(board.left);
+        const middleIds = alivePairIds(board.middle);
+
+        // Средняя: нужна пара для какой-нибудь левой
+        if (side === 'middle') {
+            return {
+                hasMatchWithoutNew: [...leftIds].some(pairId => middleIds.has(pairId)),
+                findCard: pool => pool.find(card => leftIds.has(card.pairId)) || null
+            };
+        }
+
+        // Правая: нужна хотя бы одна цепочка целиком
+        return {
+            hasMatchWithoutNew: this.hasMatchAmong(board.left, board.middle, board.right),
+            findCard: pool => pool.find(card => leftIds.has(card.pairId) && middleIds.has(card.pairId)) || null
+        };
+    }
+
+    /**
+     * Применить верное звено цепочки
+     * Первое звено - очки chainLinkScore, карточка остаётся на доске связанной;
+     * второе звено собирает цепочку - полные очки пары
+     */
+    applyMatch(cardId1, cardId2) {
+        const card1 = this.cards.find(c => c.id === cardId1);
+        const card2 = this.cards.find(c => c.id === cardId2);
+
+        if (!card1 || !card2) return false;
+
+        const middle = card1.side === 'middle' ? card1 : card2;
+        const other = middle === card1 ? card2 : card1;
+
+        other.state = 'linked';
+        middle[other.side === 'left' ? 'linkedLeft' : 'linkedRight'] = other.id;
+
+        this.recordAttempt(card1, card2, true);
+
+        this.correctAnswers++;
+        this.combo++;
+        this.maxCombo = Math.max(this.maxCombo, this.combo);
+
+        const chain = this.getChainCards(middle);
+
+        if (!chain) {
+            const points = this.rules.chainLinkScore;
+            this.score += points;
+            this.scoreBreakdown.base += points;
+
+            console.log(`🔗 Звено цепочки: +${points}, combo: ${this.combo}`);
+            return true;
+        }
+
+        [chain.left, chain.middle, chain.right].forEach(c => {
+            c.state = 'matched';
+        });
+        this.matchedPairsCount++;
+
+        this.scoreMatch(chain.right);
+
+        return true;
+    }
+
+    /**
+     * Подсказка строится от левых, затем от средних (звено к правой)
+     */
+    getHintSources() {
+        const active = side => this.boardCards[side].filter(c => c.state === 'active');
+        return [...active('left'), ...active('middle')];
+    }
+
+    /**
+     * Соседняя колонка источника, ещё не связанная с ним
+     */
+    getHintTargets(source) {
+        const active = side => this.boardCards[side].filter(c => c.state === 'active');
+
+        if (source.side === 'left') return active('middle').filter(c => !c.linkedLeft);
+        return source.linkedRight ? [] : active('right');
+    }
+
+    /**
+     * Восстанавливается только снимок цепочки
+     */
+    restore(snapshot, pairs, now = Date.now()) {
+        if (!snapshot || snapshot.mode !== 'chain') {
+            console.warn('⚠️ Снимок не от цепочки');
+            return false;
+        }
+
+        return super.restore(snapshot, pairs, now);
+    }
+}
+
+// Экспорт для тестирования
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChainModel;
+}
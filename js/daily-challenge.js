@@ -0,0 +1,155 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * DAILY CHALLENGE - Ежедневное испытание
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * Тема, сложность и раскладка выводятся из даты, поэтому
+ * в один день у всех игроков одинаковая доска.
+ *
+ * Зависит от: SeededRandom
+ */
+
+// Первый день испытаний - Daily #1
+const DAILY_CHALLENGE_EPOCH = '2026-01-01';
+
+// localStorage: дата последнего сыгранного испытания (для гостей)
+const DAILY_CHALLENGE_STORAGE_KEY = 'dailyChallengeLastPlayed';
+
+// localStorage: дата последнего начатого испытания (сделан первый ход)
+const DAILY_CHALLENGE_STARTED_STORAGE_KEY = 'dailyChallengeLastStarted';
+
+class DailyChallenge {
+    /**
+     * @param {string} dateKey - Дата в формате YYYY-MM-DD (локальное время игрока)
+     */
+    constructor(dateKey) {
+        if (!DailyChallenge.isValidDateKey(dateKey)) {
+            throw new Error('Некорректная дата испытания (нужна дата ГГГГ-ММ-ДД)');
+        }
+
+        this.dateKey = dateKey;
+        this.number = this.getNumber();
+
+        // Seed раскладки (передаётся в GameModel через URL)
+        this.seed = `daily-${dateKey}`;
+    }
+
+    /**
+     * Испытание на сегодня
+     */
+    static today() {
+        return new DailyChallenge(DailyChallenge.toDateKey(new Date()));
+    }
+
+    /**
+     * Date → YYYY-MM-DD по локальному времени
+     */
+    static toDateKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Дата должна существовать: Date.parse принимает и 2026-02-31
+     * (это 3 марта), поэтому ключ сверяется с разобранной датой
+     */
+    static isValidDateKey(dateKey) {
+        if (typeof dateKey !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dateKey)) return false;
+
+        const time = Date.parse(`${dateKey}T00:00:00Z`);
+        return !isNaN(time) && new Date(time).toISOString().slice(0, 10) === dateKey;
+    }
+
+    /**
+     * Номер испытания: дни от DAILY_CHALLENGE_EPOCH + 1
+     */
+    getNumber() {
+        const dayMs = 24 * 60 * 60 * 1000;
+        const epoch = Date.parse(`${DAILY_CHALLENGE_EPOCH}T00:00:00Z`);
+        const current = Date.parse(`${this.dateKey}T00:00:00Z`);
+        return Math.floor((current - epoch) / dayMs) + 1;
+    }
+
+    /**
+     * Выбрать тему и сложность дня из списка тем
+     * Темы сортируются по id, чтобы выбор не зависел от порядка в themes.json.
+     * Сложность - из уровней, которые тема может набрать (playableDifficulties
+     * из каталога); темы, которым не набрать ни одного уровня, не выбираются
+     * @param {Array} themes - Записи из themes.json
+     * @returns {Object|null} { themeId, difficulty }
+     */
+    pick(themes) {
+        const getLevels = theme => theme.playableDifficulties || [1, 2, 3];
+        const playable = (themes || []).filter(theme => getLevels(theme).length > 0);
+        if (playable.length === 0) return null;
+
+        // Отдельный seed для выбора, чтобы не совпадал с seed раскладки
+        const random = new SeededRandom(`daily-pick-${this.dateKey}`);
+        const sorted = playable.sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+
+        const theme = sorted[Math.floor(random.next() * sorted.length)];
+        const levels = getLevels(theme);
+        const difficulty = levels[Math.floor(random.next() * levels.length)];
+
+        return { themeId: theme.id, difficulty };
+    }
+
+    /**
+     * Ссылка на игру испытания
+     */
+    getGameUrl(themeId, difficulty) {
+        return `game.html?theme=${themeId}&difficulty=${difficulty}&daily=${this.dateKey}`;
+    }
+
+    /**
+     * Данные испытания для модели и результатов
+     */
+    toJSON() {
+        return { dateKey: this.dateKey, number: this.number };
+    }
+
+    /**
+     * Отметить испытание сыгранным на этом устройстве
+     */
+    markPlayedLocally() {
+        try {
+            localStorage.setItem(DAILY_CHALLENGE_STORAGE_KEY, this.dateKey);
+        } catch (error) {
+            console.warn('⚠️ Не удалось сохранить отметку испытания:', error);
+        }
+    }
+
+    isPlayedLocally() {
+        try {
+            return localStorage.getItem(DAILY_CHALLENGE_STORAGE_KEY) === this.dateKey;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Отметить испытание начатым на этом устройстве (первый ход сделан):
+     * партию можно только продолжить, новой доски не будет
+     */
+    markStartedLocally() {
+        try {
+            localStorage.setItem(DAILY_CHALLENGE_STARTED_STORAGE_KEY, this.dateKey);
+        } catch (error) {
+            console.warn('⚠️ Не удалось сохранить отметку испытания:', error);
+        }
+    }
+
+    isStartedLocally() {
+        try {
+            return localStorage.getItem(DAILY_CHALLENGE_STARTED_STORAGE_KEY) === this.dateKey;
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+// Экспорт для тестирования
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DailyChallenge;
+}
@@ -0,0 +1,144 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * DIFFICULTY DISTRIBUTION - Сколько пар какой сложности в партии
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * Распределение уровня: { easy: N, medium: N, hard: N }
+ * (сколько пар взять с лёгким, средним и сложным правым вариантом).
+ *
+ * Тема может задать свои распределения - блок distributions в JSON:
+ * { "1": { "easy": 6, "medium": 2 }, "3": { ... } }
+ * Уровень задаётся целиком, пропущенные поля - 0.
+ * Не заданные темой уровни берутся из DEFAULT_DIFFICULTY_DISTRIBUTIONS.
+ *
+ * Используется на главной (число пар в окне сложности)
+ * и в игре (GameController, GameModel.selectCardsForGame).
+ */
+
+const DEFAULT_DIFFICULTY_DISTRIBUTIONS = Object.freeze({
+    1: Object.freeze({ easy: 8, medium: 2, hard: 0 }),   // Лёгкий: 10 пар (80% лёгкие, 20% средние)
+    2: Object.freeze({ easy: 4, medium: 8, hard: 2 }),   // Средний: 14 пар (29% лёгкие, 57% средние, 14% сложные)
+    3: Object.freeze({ easy: 2, medium: 6, hard: 10 })   // Сложный: 18 пар (11% лёгкие, 33% средние, 56% сложные)
+});
+
+// Поле распределения для каждой сложности варианта
+const DIFFICULTY_KEYS = { 1: 'easy', 2: 'medium', 3: 'hard' };
+
+// Откуда добирать пары, если вариантов нужной сложности не хватило (сначала ближайшая)
+const DIFFICULTY_FALLBACK_ORDER = { 1: [2, 3], 2: [1, 3], 3: [2, 1] };
+
+// Меньше пар в партии не бывает
+const MIN_DISTRIBUTION_TOTAL = 3;
+
+class DifficultyDistribution {
+    /**
+     * Распределение для уровня сложности с учётом темы
+     * @param {Object|null} themeData - Данные темы (может содержать distributions)
+     * @param {number} difficulty - Уровень (1, 2, 3)
+     * @returns {Object} { easy, medium, hard }
+     */
+    static forTheme(themeData, difficulty) {
+        if (!DEFAULT_DIFFICULTY_DISTRIBUTIONS[difficulty]) {
+            console.warn(`⚠️ Неизвестная сложность ${difficulty}, используем средний уровень`);
+            difficulty = 2;
+        }
+
+        const custom = themeData && themeData.distributions && themeData.distributions[difficulty];
+        const source = custom || DEFAULT_DIFFICULTY_DISTRIBUTIONS[difficulty];
+
+        return {
+            easy: source.easy || 0,
+            medium: source.medium || 0,
+            hard: source.hard || 0
+        };
+    }
+
+    static getTotal(distribution) {
+        return (distribution.easy || 0) + (distribution.medium || 0) + (distribution.hard || 0);
+    }
+
+    /**
+     * Сколько пар реально будет в партии
+     * Недостающие варианты добираются соседними сложностями,
+     * так что ограничивает только число пар темы.
+     * Пары, которые путаются с уже выбранными (ThemeAmbiguity), здесь не
+     * вычитаются - партия может выйти короче; scripts/build-catalog.js
+     * предупреждает о таких темах
+     */
+    static getPairCount(themeData, difficulty) {
+        const total = DifficultyDistribution.getTotal(DifficultyDistribution.forTheme(themeData, difficulty));
+        const pairs = themeData && Array.isArray(themeData.pairs) ? themeData.pairs.length : total;
+        return Math.min(total, pairs);
+    }
+
+    /**
+     * Хватает ли пар темы на полную партию уровня
+     */
+    static canFill(themeData, difficulty) {
+        const total = DifficultyDistribution.getTotal(DifficultyDistribution.forTheme(themeData, difficulty));
+        return DifficultyDistribution.getPairCount(themeData, difficulty) >= total;
+    }
+
+    /**
+     * Уровни, на которые у темы хватает пар (каталог тем, окно сложности)
+     * @returns {Array} Например [1, 2]
+     */
+    static getPlayableDifficulties(themeData) {
+        return Object.keys(DEFAULT_DIFFICULTY_DISTRIBUTIONS)
+            .map(Number)
+            .filter(difficulty => DifficultyDistribution.canFill(themeData, difficulty));
+    }
+
+    /**
+     * Порядок сложностей, из которых добирать нехватку
+     */
+    static getFallbackOrder(difficulty) {
+        return DIFFICULTY_FALLBACK_ORDER[difficulty] || [];
+    }
+
+    /**
+     * Проверить блок distributions темы
+     * @returns {Array} Список ошибок (пустой - всё в порядке)
+     */
+    static validate(distributions) {
+        if (!distributions || typeof distributions !== 'object' || Array.isArray(distributions)) {
+            return ['distributions должен быть объектом { "1": {...}, "2": {...}, "3": {...} }'];
+        }
+
+        const errors = [];
+        const fields = Object.values(DIFFICULTY_KEYS);
+
+        Object.entries(distributions).forEach(([level, distribution]) => {
+            if (!DEFAULT_DIFFICULTY_DISTRIBUTIONS[level]) {
+                errors.push(`неизвестный уровень "${level}" (должен быть 1, 2 или 3)`);
+                return;
+            }
+
+            if (!distribution || typeof distribution !== 'object' || Array.isArray(distribution)) {
+                errors.push(`уровень ${level} должен быть объектом { easy, medium, hard }`);
+                return;
+            }
+
+            Object.entries(distribution).forEach(([field, count]) => {
+                if (!fields.includes(field)) {
+                    errors.push(`уровень ${level}: неизвестное поле "${field}"`);
+                } else if (!Number.isInteger(count) || count < 0) {
+                    errors.push(`уровень ${level}: ${field} должно быть целым числом ≥ 0`);
+                }
+            });
+
+            const total = DifficultyDistribution.getTotal(distribution);
+            if (Number.isFinite(total) && total < MIN_DISTRIBUTION_TOTAL) {
+                errors.push(`уровень ${level}: всего ${total} пар (минимум ${MIN_DISTRIBUTION_TOTAL})`);
+            }
+        });
+
+        return errors;
+    }
+}
+
+// Экспорт для тестирования
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DifficultyDistribution;
+    module.exports.DEFAULT_DIFFICULTY_DISTRIBUTIONS = DEFAULT_DIFFICULTY_DISTRIBUTIONS;
+}
@@ -33,16 +33,44 @@ class DragDropManager {
             card.parentNode.replaceChild(newCard, card);
             
             // ВАЖНО: Привязываем обработчики к newCard, а не к старому card!
-            if (newCard.dataset.side === 'right' && !newCard.classList.contains('matched')) {
-                this.addRightCardListeners(newCard);
-            }
-            
-            if (newCard.dataset.side === 'left' && !newCard.classList.contains('matched')) {
-                this.addLeftCardListeners(newCard);
+            if (!newCard.classList.contains('matched')) {
+                this.addCardListeners(newCard);
             }
         });
     }
 
+    /**
+     * Обработчики по колонке карточки
+     * (средняя колонка режима цепочки ведёт себя как левая)
+     */
+    addCardListeners(card) {
+        if (card.dataset.side === 'right') {
+            this.addRightCardListeners(card);
+        } else {
+            this.addLeftCardListeners(card);
+        }
+    }
+
+    /**
+     * Можно ли связать карточки: колонки должны быть соседними
+     * (в классике левая и правая, в цепочке - через среднюю)
+     */
+    areAdjacent(cardA, cardB) {
+        const sides = this.gameController.model.getSides();
+        const distance = Math.abs(sides.indexOf(cardA.dataset.side) - sides.indexOf(cardB.dataset.side));
+        return distance === 1;
+    }
+
+    /**
+     * Карточка может принять drop от перетаскиваемой
+     */
+    isDropTarget(card) {
+        return !!this.draggedElement &&
+            !card.classList.contains('matched') &&
+            !card.classList.contains('linked') &&
+            this.areAdjacent(this.draggedElement, card);
+    }
+
     addRightCardListeners(card) {
         console.log('      [DRAG-DROP] 🎧 addRightCardListeners() для:', card.id);
         
@@ -133,8 +161,9 @@ class DragDropManager {
         e.preventDefault();
         e.stopPropagation();
         
-        // ЗАЩИТА: Нельзя кликать на matched или удаляющиеся карточки
+        // ЗАЩИТА: Нельзя кликать на matched, связанные в цепочку или удаляющиеся карточки
         if (card.classList.contains('matched') || 
+            card.classList.contains('linked') ||
             card.classList.contains('fade-out')) {
             console.warn('Попытка клика на удалённую карточку');
             return;
@@ -146,6 +175,18 @@ class DragDropManager {
             return;
         }
         
+        // Memory: клик переворачивает карточку, выбирать нечего
+        if (this.gameController.model.isMemory()) {
+            this.gameController.handleCardFlip(card.dataset.cardId);
+            return;
+        }
+        
+        // Recall: клик выбирает карточку, на которую отвечать
+        if (this.gameController.model.isRecall()) {
+            this.gameController.selectRecallCard(card.dataset.cardId);
+            return;
+        }
+        
         const cardSide = card.dataset.side;
         
         // Если карточка уже выбрана - снимаем выбор
@@ -167,9 +208,9 @@ class DragDropManager {
             return;
         }
         
-        // Если выбрана карточка из той же колонки - переключаем выбор
+        // Если выбрана карточка из той же или не соседней колонки - переключаем выбор
         const selectedSide = this.selectedCard.dataset.side;
-        if (selectedSide === cardSide) {
+        if (selectedSide === cardSide || !this.areAdjacent(this.selectedCard, card)) {
             this.deselectCard();
             this.selectedCard = card;
             card.classList.add('selected');
@@ -182,22 +223,11 @@ class DragDropManager {
             return;
         }
         
-        // Если выбрана карточка из другой колонки - проверяем совпадение
-        // Определяем какая левая, какая правая
-        let leftCard, rightCard;
-        if (cardSide === 'left') {
-            leftCard = card;
-            rightCard = this.selectedCard;
-        } else {
-            leftCard = this.selectedCard;
-            rightCard = card;
-        }
-        
-        // Проверяем совпадение через контроллер
-        // Сначала устанавливаем draggedCardId (правая карточка)
-        this.gameController.handleCardDragStart(rightCard.dataset.cardId);
-        // Затем делаем drop на левую
-        this.gameController.handleCardDrop(leftCard.dataset.cardId);
+        // Если выбрана карточка из соседней колонки - проверяем совпадение
+        // Сначала устанавливаем draggedCardId (выбранная карточка)
+        this.gameController.handleCardDragStart(this.selectedCard.dataset.cardId);
+        // Затем делаем drop на текущую
+        this.gameController.handleCardDrop(card.dataset.cardId);
         
         // Снимаем выделение
         this.deselectCard();
@@ -246,7 +276,7 @@ class DragDropManager {
         e.dataTransfer.dropEffect = 'move';
         
         // Подсвечиваем drop-зону
-        if (!card.classList.contains('matched')) {
+        if (this.isDropTarget(card)) {
             card.classList.add('drop-target');
         }
     }
@@ -271,7 +301,8 @@ class DragDropManager {
 
     handleTouchStart(e, card) {
         // Если карточка уже выбрана кликом, не создаём touch clone
-        if (this.selectedCard === card) {
+        // (в memory и recall карточки не перетаскиваются - тап обработает click)
+        if (this.selectedCard === card || !this.gameController.model.usesDragDrop()) {
             return;
         }
         
@@ -434,7 +465,7 @@ class DragDropManager {
         
         // Находим новую цель
         const target = this.findDropTarget(x, y);
-        if (target && !target.classList.contains('matched')) {
+        if (target) {
             target.classList.add('drop-target');
         }
     }
@@ -452,8 +483,9 @@ class DragDropManager {
             this.touchClone.style.display = 'block';
         }
         
-        // Ищем ближайшую левую карточку
-        const target = element?.closest('.card[data-side="left"]:not(.matched)');
+        // Ищем ближайшую карточку соседней колонки
+        const card = element?.closest('.card');
+        const target = card && this.isDropTarget(card) ? card : null;
         console.log('🎯 findDropTarget - result:', target?.id);
         return target;
     }
@@ -573,9 +605,9 @@ class DragDropManager {
         // Устанавливаем флаг что long press активен
         this.isLongPressActive = true;
         
-        // Получаем полный текст из карточки
+        // Получаем полный текст из карточки (у закрытой его нет)
         const cardContent = card.querySelector('.card-content');
-        if (!cardContent) return;
+        if (!cardContent || !cardContent.textContent) return;
         
         const fullText = cardContent.textContent;
         
@@ -21,6 +21,25 @@ class GameController {
         
         // Текущая drag операция
         this.draggedCardId = null;
+        
+        // Recall: левая карточка, на которую сейчас отвечают
+        this.recallCardId = null;
+        
+        // Ежедневное испытание (DailyChallenge) или null
+        this.dailyChallenge = null;
+        
+        // Микс: id исходных тем (см. theme-mix.js) или null
+        this.mixThemeIds = null;
+        
+        // Интервал обратного отсчёта (time-attack)
+        this.timerInterval = null;
+        
+        // Незаконченные партии (localStorage)
+        this.snapshotStore = new GameSnapshotStore();
+        
+        // Пауза запрошена во время проверки хода - встанем на паузу после неё
+        this.pauseRequested = false;
+        this.gameControlsBound = false;
     }
     
     // ═══════════════════════════════════════════════════════════
@@ -29,40 +48,114 @@ class GameController {
     
     /**
      * Главный метод загрузки игры
+     * @param {string|null} themeId - ID темы (в миксе не нужен - id собирается из mix)
+     * @param {number} difficulty - Уровень сложности (1, 2, 3)
+     * @param {Object} options - { mode: string, daily: DailyChallenge, practice: string[], rules: Object, mix: string[] }
      */
-    async bootstrap(themeId, difficulty) {
-        console.log('🚀 Bootstrap: theme=' + themeId + ', difficulty=' + difficulty);
+    async bootstrap(themeId, difficulty, options = {}) {
+        console.log('🚀 Bootstrap: theme=' + themeId + ', difficulty=' + difficulty + ', mode=' + (options.mode || 'classic'));
+        
+        this.dailyChallenge = options.daily || null;
+        this.mixThemeIds = options.mix || null;
+        
+        // Слот сохранённой партии (у микса id темы станет известен после загрузки)
+        const slot = {
+            themeId,
+            mode: options.mode || 'classic',
+            difficulty,
+            daily: this.dailyChallenge ? this.dailyChallenge.dateKey : null,
+            practice: options.practice || null
+        };
         
         try {
             // Шаг 1: Показываем загрузку
             this.view.showLoadingScreen('Загрузка темы...');
+            
+            // Шаг 1.1: Испытание дня - у всех та же тема и сложность, одна попытка
+            if (this.dailyChallenge) {
+                await this.checkDailyPick(themeId, difficulty);
+                
+                const played = await this.loadDailyPlayed(slot);
+                if (played) {
+                    console.log(`ℹ️ Daily #${this.dailyChallenge.number} уже сыгран - доска не раздаётся`);
+                    this.view.showDailyPlayedScreen(this.dailyChallenge.toJSON(), played.result);
+                    return;
+                }
+            }
+            
             if (!this.model.setState('LOADING')) {
                 throw new Error('Невозможно начать загрузку');
             }
             
-            // Шаг 2: Загружаем тему
-            const themeData = await this.loadTheme(themeId);
-            
-            // Шаг 3: Валидируем тему
-            this.view.updateLoadingMessage('Проверка данных...');
-            this.validateTheme(themeData);
+            // Шаг 2-3: Загружаем и валидируем тему (микс - несколько тем, собранных в одну)
+            const themeData = await this.loadGameTheme(themeId);
+            themeId = themeData.mix ? themeData.id : themeId;
             
-            // Шаг 4: Получаем распределение по сложности
-            const distribution = this.getDistributionForDifficulty(difficulty);
+            // Шаг 4: Незаконченная партия в том же режиме - предлагаем продолжить
+            this.model.themeData = themeData;
+            slot.themeId = themeId;
+            const resumed = await this.tryResumeGame(slot, themeData, options.rules);
             
-            console.log(`📊 Для сложности ${difficulty} нужно: легких ${distribution.easy}, средних ${distribution.medium}, сложных ${distribution.hard}`);
+            // Начатое испытание не восстановилось - попытка уже потрачена
+            if (!resumed && this.dailyChallenge && this.dailyChallenge.isStartedLocally()) {
+                console.log(`ℹ️ Daily #${this.dailyChallenge.number} начат, но партия не восстановилась - доска не раздаётся`);
+                this.view.showDailyPlayedScreen(this.dailyChallenge.toJSON(), null);
+                return;
+            }
             
-            // Шаг 5: Инициализируем модель (она сама выберет нужные пары)
-            this.view.updateLoadingMessage('Подготовка карточек...');
-            this.model.themeData = themeData;
-            this.model.themeId = themeId;
-            this.model.difficulty = difficulty;
-            this.model.initializeCards(themeData.pairs, distribution);
+            if (!resumed) {
+                // Шаг 5: Получаем распределение по сложности
+                const distribution = this.getDistributionForDifficulty(difficulty, themeData);
+                
+                console.log(`📊 Для сложности ${difficulty} нужно: легких ${distribution.easy}, средних ${distribution.medium}, сложных ${distribution.hard}`);
+                
+                // Шаг 5.1: Тренировка по ошибкам - только указанные пары,
+                // цепочка - только пары со средней карточкой
+                let pairs = options.practice ?
+                    this.getPracticePairs(themeData, options.practice) :
+                    themeData.pairs;
+                if (options.mode === 'chain') {
+                    pairs = this.getChainPairs(pairs);
+                }
+                
+                // Шаг 5.2: Инициализируем модель (она сама выберет нужные пары)
+                this.view.updateLoadingMessage('Подготовка карточек...');
+                this.model.themeId = themeId;
+                this.model.difficulty = difficulty;
+                this.model.mode = options.mode || 'classic';
+                this.model.daily = this.dailyChallenge ? this.dailyChallenge.toJSON() : null;
+                this.model.practice = options.practice || null;
+                this.model.rules = GameRules.resolve({
+                    mode: this.model.mode,
+                    themeRules: themeData.rules,
+                    overrides: options.rules
+                });
+                
+                // Режим повторения: сначала пары, которые пора повторить
+                if (this.model.mode === 'review') {
+                    this.view.updateLoadingMessage('Подбор пар для повторения...');
+                    this.model.reviewPriorities = await this.loadReviewPriorities(themeId, pairs);
+                }
+                
+                if (this.model.isQuiz()) {
+                    this.model.initializeQuiz(pairs, distribution);
+                } else {
+                    this.model.initializeCards(pairs, distribution);
+                }
+            }
             
             // Шаг 6: Отображаем карточки
             this.view.updateLoadingMessage('Отрисовка...');
+            this.view.setReverseLayout(this.model.isReverse());
             this.view.setGameInfo(themeData);
-            this.view.renderCards(this.model.getAllBoardCards());
+            this.view.setChainLayout(this.model.isChain());
+            this.view.setRecallLayout(this.model.isRecall());
+            this.view.setQuizLayout(this.model.isQuiz());
+            if (this.model.isQuiz()) {
+                this.showQuizQuestion();
+            } else {
+                this.view.renderCards(this.model.getAllBoardCards());
+            }
             
             // Шаг 7: Обновляем UI
             this.updateAllUI();
@@ -77,7 +170,7 @@ class GameController {
             
             await this.delay(300); // Плавный переход
             
-            this.startGame();
+            this.startGame(resumed);
             
             console.log('✅ Bootstrap завершён успешно');
             
@@ -86,7 +179,8 @@ class GameController {
             
             // Показываем экран ошибки
             this.view.showErrorScreen(
-                error.message || 'Не удалось загрузить игру'
+                error.message || 'Не удалось загрузить игру',
+                error.details || []
             );
             
             // Сбрасываем состояние
@@ -94,6 +188,109 @@ class GameController {
         }
     }
     
+    /**
+     * Ссылка испытания дня должна вести на выбор дня (DailyChallenge.pick
+     * по каталогу, как на главной) - иначе у игроков были бы разные доски
+     */
+    async checkDailyPick(themeId, difficulty) {
+        this.view.updateLoadingMessage('Проверка испытания дня...');
+        
+        const response = await fetch('data/themes.json');
+        if (!response.ok) {
+            throw new Error(`Не удалось загрузить каталог тем (HTTP ${response.status})`);
+        }
+        
+        const pick = this.dailyChallenge.pick(await response.json());
+        if (!pick || pick.themeId !== themeId || pick.difficulty !== difficulty) {
+            throw new Error('Ссылка не совпадает с испытанием дня - откройте его с главной страницы');
+        }
+    }
+    
+    /**
+     * Сыграно ли испытание дня: в профиле (если вошли) или на этом устройстве.
+     * Начатое на этом устройстве испытание без сохранённой партии тоже считается
+     * сыгранным - иначе перезагрузка страницы давала бы новую попытку
+     * @param {Object} slot - Слот партии испытания (см. GameSnapshotStore)
+     * @returns {Object|null} { result } - result из профиля или null; null - не сыграно
+     */
+    async loadDailyPlayed(slot) {
+        const result = window.progressManager && window.authManager && window.authManager.isLoggedIn() ?
+            await window.progressManager.getDailyResult(this.dailyChallenge.dateKey) :
+            null;
+        
+        if (result) return { result };
+        if (this.dailyChallenge.isPlayedLocally()) return { result: null };
+        
+        const abandoned = this.dailyChallenge.isStartedLocally() && !this.snapshotStore.load(slot);
+        return abandoned ? { result: null } : null;
+    }
+    
+    /**
+     * Испытание дня: с первого хода попытка засчитана - дальше партию
+     * можно только продолжить (отметка хранит одну дату - прошлое
+     * испытание не должно затирать сегодняшнее)
+     */
+    markDailyStarted() {
+        if (this.dailyChallenge && this.dailyChallenge.dateKey === DailyChallenge.today().dateKey &&
+            !this.dailyChallenge.isStartedLocally()) {
+            this.dailyChallenge.markStartedLocally();
+        }
+    }
+    
+    /**
+     * Предложить продолжить сохранённую партию
+     * Вызывается до настройки модели, поэтому режим берётся из запроса:
+     * снимок предлагается, только если он из того же слота - та же тема,
+     * тот же режим и сложность, то же испытание дня (см. GameSnapshotStore).
+     * Партия продолжается по своим правилам - правила из ссылки к ней не применяются.
+     * Испытание дня можно только продолжить - новой доски вместо него нет
+     * @param {Object} slot - { themeId, mode, difficulty, daily, practice } запрошенной партии
+     * @param {Object|null} urlRules - Правила из параметров URL
+     * @returns {boolean} true если модель восстановлена из снимка
+     */
+    async tryResumeGame(slot, themeData, urlRules = null) {
+        const snapshot = this.snapshotStore.load(slot);
+        if (!snapshot) return false;
+        
+        let note = null;
+        if (slot.daily) {
+            note = 'Испытание дня - одна попытка: начатую партию можно только продолжить';
+        } else if (urlRules) {
+            note = 'Правила из ссылки применятся только к новой игре';
+        }
+        
+        this.view.hideLoadingScreen();
+        const accepted = await this.view.askResumeGame(snapshot, { note, allowNew: !slot.daily });
+        this.view.showLoadingScreen('Восстановление партии...');
+        
+        if (accepted && this.model.restore(snapshot, themeData.pairs)) {
+            return true;
+        }
+        
+        // Отказались или снимок не подошёл - начинаем заново
+        this.snapshotStore.clear(slot);
+        return false;
+    }
+    
+    /**
+     * Загрузить тему партии и проверить её
+     * Микс по схеме не проверяется: каждая его тема уже проверена в loadMix,
+     * а id микса (mix_...) и служебные поля пар (source) схеме темы не соответствуют
+     * @param {string|null} themeId - ID темы (для микса - this.mixThemeIds)
+     */
+    async loadGameTheme(themeId) {
+        if (this.mixThemeIds) {
+            return this.loadMix(this.mixThemeIds);
+        }
+        
+        const themeData = await this.loadTheme(themeId);
+        
+        this.view.updateLoadingMessage('Проверка данных...');
+        this.validateTheme(themeData);
+        
+        return themeData;
+    }
+    
     /**
      * Загрузка темы из JSON
      */
@@ -116,7 +313,11 @@ class GameController {
             throw new Error(`Тема "${themeId}" не найдена (HTTP ${response.status})`);
         }
         
-        const themeData = await response.json();
+        // Старые форматы файла - сразу к текущему (см. theme-migrations.js)
+        const { themeData, fromVersion, migrated } = ThemeMigrations.migrate(await response.json());
+        if (migrated) {
+            console.log(`🔄 Тема "${themeId}" в формате v${fromVersion} - обновлена до v${CURRENT_THEME_FORMAT}`);
+        }
         
         console.log(`✅ Тема загружена: ${themeData.title}`);
         
@@ -124,92 +325,147 @@ class GameController {
     }
     
     /**
-     * Валидация темы (с поддержкой новой структуры)
+     * Загрузить темы микса и собрать из них одну (см. theme-mix.js)
+     * Каждая тема проверяется отдельно - ошибка указывает на свою тему
+     */
+    async loadMix(themeIds) {
+        console.log(`🔀 Микс тем: ${themeIds.join(', ')}`);
+        
+        const loaded = await Promise.all(themeIds.map(id => this.loadTheme(id)));
+        
+        const sources = loaded.map((data, index) => {
+            try {
+                this.validateTheme(data);
+            } catch (error) {
+                const themeError = new Error(`Тема "${themeIds[index]}": ${error.message}`);
+                themeError.details = error.details;
+                throw themeError;
+            }
+            return { id: themeIds[index], data };
+        });
+        
+        const themeData = ThemeMix.combine(sources);
+        console.log(`✅ Микс собран: ${themeData.pairs.length} пар`);
+        
+        return themeData;
+    }
+    
+    /**
+     * Валидация темы по схеме (см. theme-schema.js)
+     * Предупреждения - в консоль, ошибки - все сразу в ThemeValidationError
      */
     validateTheme(themeData) {
-        if (!themeData || typeof themeData !== 'object' || Array.isArray(themeData)) {
-            throw new Error('Некорректный формат файла темы');
-        }
+        const report = ThemeSchema.validate(themeData);
         
-        if (!themeData.pairs || !Array.isArray(themeData.pairs)) {
-            throw new Error('Поле pairs должно быть массивом');
+        report.warnings.forEach(problem => {
+            console.warn(`⚠️ ${ThemeSchema.formatProblem(problem)}`);
+        });
+        
+        if (!report.valid) {
+            report.errors.forEach(problem => {
+                console.error(`❌ ${ThemeSchema.formatProblem(problem)}`);
+            });
+            throw new ThemeValidationError(report.errors);
         }
         
-        if (themeData.pairs.length === 0) {
-            throw new Error('В теме нет ни одной пары');
+        console.log(`✅ Тема прошла валидацию (предупреждений: ${report.warnings.length})`);
+    }
+    
+    /**
+     * Пары темы для тренировки по ошибкам
+     * @param {Array} pairIds - ID пар из URL (строки)
+     */
+    getPracticePairs(themeData, pairIds) {
+        const pairs = themeData.pairs.filter(pair => pairIds.includes(String(pair.id)));
+        
+        if (pairs.length === 0) {
+            throw new Error('В теме нет пар для тренировки');
         }
         
-        if (themeData.pairs.length < 6) {
-            throw new Error(`Недостаточно пар в теме (минимум 6, есть ${themeData.pairs.length})`);
+        console.log(`🎯 Тренировка: ${pairs.length} пар`);
+        return pairs;
+    }
+    
+    /**
+     * Пары со средней карточкой для режима цепочки
+     */
+    getChainPairs(pairs) {
+        const chainPairs = pairs.filter(pair => pair.middle);
+        
+        if (chainPairs.length < 6) {
+            throw new Error(`В теме нет средней колонки для режима цепочки (пар со средней карточкой: ${chainPairs.length}, нужно минимум 6)`);
         }
         
-        if (!themeData.title) {
-            throw new Error('В теме отсутствует title');
+        console.log(`🔗 Цепочка: ${chainPairs.length} пар со средней карточкой`);
+        return chainPairs;
+    }
+    
+    /**
+     * Срочность повторения пар темы (гостю все пары новые)
+     */
+    async loadReviewPriorities(themeId, pairs) {
+        const mastery = window.progressManager && window.authManager && window.authManager.isLoggedIn() ?
+            await this.loadMastery(themeId) :
+            {};
+        
+        const schedule = new SpacedRepetition();
+        console.log(`📚 Пора повторить: ${schedule.countDue(mastery)} из ${Object.keys(mastery).length} изученных пар`);
+        
+        return schedule.getPriorities(pairs.map(pair => pair.id), mastery);
+    }
+    
+    /**
+     * Повторение темы; в миксе - всех исходных тем, с pairId микса
+     */
+    async loadMastery(themeId) {
+        if (!this.mixThemeIds) {
+            return window.progressManager.getMastery(themeId);
         }
         
-        // Валидация пар (новая структура)
-        themeData.pairs.forEach((pair, index) => {
-            if (!pair.id) {
-                throw new Error(`Пара ${index} не имеет id`);
-            }
-            if (!pair.left) {
-                throw new Error(`Пара ${index} не имеет left`);
-            }
-            
-            // Проверяем новую структуру
-            if (!pair.rights || !Array.isArray(pair.rights)) {
-                throw new Error(`Пара ${index} не имеет массива rights`);
-            }
-            
-            if (pair.rights.length === 0) {
-                throw new Error(`Пара ${index} имеет пустой массив rights`);
-            }
-            
-            // Проверяем каждую правую карточку
-            pair.rights.forEach((right, rightIndex) => {
-                if (!right.text) {
-                    throw new Error(`Пара ${index}, right ${rightIndex} не имеет text`);
-                }
-                if (!right.difficulty || ![1, 2, 3].includes(right.difficulty)) {
-                    throw new Error(`Пара ${index}, right ${rightIndex} имеет некорректную сложность (должна быть 1, 2 или 3)`);
-                }
-                if (!right.description) {
-                    console.warn(`⚠️ Пара ${index}, right ${rightIndex} не имеет description`);
-                }
-            });
-        });
+        const masteries = await Promise.all(
+            this.mixThemeIds.map(id => window.progressManager.getMastery(id))
+        );
+        
+        return Object.assign({}, ...masteries.map((mastery, index) =>
+            ThemeMix.namespaceMastery(this.mixThemeIds[index], mastery)
+        ));
+    }
+    
+    /**
+     * Ссылка на тренировку по парам, в которых были ошибки
+     * @returns {string|null} null если ошибок не было
+     */
+    getPracticeUrl(mistakes) {
+        const pairIds = [...new Set(mistakes.map(mistake => String(mistake.pairId)))];
+        if (pairIds.length === 0) return null;
+        
+        const source = this.mixThemeIds ?
+            `mix=${this.mixThemeIds.join(',')}` :
+            `theme=${this.model.themeId}`;
         
-        console.log('✅ Тема прошла валидацию');
+        return `game.html?${source}&difficulty=${this.model.difficulty}` +
+            `&practice=${pairIds.map(encodeURIComponent).join(',')}`;
     }
     
     /**
      * Получить распределение карточек для уровня сложности
      * @param {Number} difficulty - Уровень сложности (1, 2, 3)
+     * @param {Object} themeData - Данные темы
      * @returns {Object} { easy: N, medium: N, hard: N }
      */
-    getDistributionForDifficulty(difficulty) {
-        // Конкретные числа для каждого уровня
-        const distributions = {
-            1: { easy: 8, medium: 2, hard: 0 },   // Лёгкий: 10 пар (80% лёгкие, 20% средние)
-            2: { easy: 4, medium: 8, hard: 2 },    // Средний: 14 пар (29% лёгкие, 57% средние, 14% сложные)
-            3: { easy: 2, medium: 6, hard: 10 }    // Сложный: 18 пары (11% лёгкие, 33% средние, 56% сложные)
-        };
-        
-        const distribution = distributions[difficulty];
-        
-        if (!distribution) {
-            console.warn(`⚠️ Неизвестная сложность ${difficulty}, используем средний уровень`);
-            return distributions[2];
-        }
-        
-        return distribution;
+    getDistributionForDifficulty(difficulty, themeData) {
+        // Тема может задать свои распределения (см. difficulty-distribution.js)
+        return DifficultyDistribution.forTheme(themeData, difficulty);
     }
     
     // ═══════════════════════════════════════════════════════════
     // СТАРТ ИГРЫ
     // ═══════════════════════════════════════════════════════════
     
-    startGame() {
+    /**
+     * @param {boolean} resumed - Партия восстановлена из снимка (часы и таймер уже идут)
+     */
+    startGame(resumed = false) {
         if (!this.model.setState('PLAYING')) {
             console.error('❌ Не удалось запустить игру');
             return;
@@ -229,9 +485,180 @@ class GameController {
         console.log('✅ Drag-drop привязан к карточкам');
         
         // Запускаем таймер
-        this.model.startTime = Date.now();
+        if (!resumed) {
+            this.model.startTime = Date.now();
+            this.model.startTimer(this.model.startTime);
+        }
+        
+        // Обратный отсчёт (time-attack)
+        if (this.model.isTimed()) {
+            this.view.showTimer(true);
+            this.view.updateTimer(this.model.timeRemaining);
+            this.startTimerLoop();
+        }
+        
+        // Жизни (survival)
+        this.view.showLives(this.model.hasLives());
+        
+        // Время реакции считается от момента, когда доска доступна
+        this.model.startTurn(Date.now());
+        
+        // Пауза, подсказки и сохранение при уходе со страницы
+        this.view.showGameControls(true, this.model.hasHints());
+        this.bindGameControls();
+        this.saveSnapshot();
         
-        console.log('🎮 Игра запущена!');
+        // Recall: первый вопрос
+        if (this.model.isRecall()) {
+            this.selectRecallCard(null);
+        }
+        
+        console.log(resumed ? '🎮 Игра продолжена!' : '🎮 Игра запущена!');
+    }
+    
+    // ═══════════════════════════════════════════════════════════
+    // ПАУЗА И СОХРАНЕНИЕ ПАРТИИ
+    // ═══════════════════════════════════════════════════════════
+    
+    /**
+     * Обработчики страницы (один раз): кнопки паузы и подсказки,
+     * автопауза при сворачивании вкладки, сохранение при закрытии
+     */
+    bindGameControls() {
+        if (this.gameControlsBound) return;
+        this.gameControlsBound = true;
+        
+        this.view.bindGameControls({
+            onPause: () => this.togglePause(),
+            onResume: () => this.resumeGame(),
+            onHint: () => this.handleHint()
+        });
+        
+        this.view.bindRecallForm(text => this.handleRecallAnswer(text));
+        this.view.bindQuizOptions(index => this.handleQuizAnswer(index));
+        
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.pauseGame();
+            }
+        });
+        
+        window.addEventListener('pagehide', () => this.saveSnapshot());
+    }
+    
+    togglePause() {
+        if (this.model.isPaused()) {
+            this.resumeGame();
+        } else {
+            this.pauseGame();
+        }
+    }
+    
+    pauseGame() {
+        // Идёт проверка хода - встанем на паузу, когда она закончится
+        if (this.model.isProcessing()) {
+            this.pauseRequested = true;
+            return;
+        }
+        
+        if (!this.model.pause(Date.now())) return;
+        
+        this.stopTimerLoop();
+        if (window.dragDropManager) {
+            window.dragDropManager.reset();
+        }
+        
+        this.view.setInteractionEnabled(false);
+        this.view.showPauseOverlay(true);
+        this.saveSnapshot();
+    }
+    
+    resumeGame() {
+        if (!this.model.resume(Date.now())) return;
+        
+        this.view.showPauseOverlay(false);
+        this.view.setInteractionEnabled(true);
+        
+        if (this.model.isTimed()) {
+            this.startTimerLoop();
+        }
+    }
+    
+    // ═══════════════════════════════════════════════════════════
+    // ПОДСКАЗКИ
+    // ═══════════════════════════════════════════════════════════
+    
+    handleHint() {
+        const hint = this.model.useHint();
+        if (!hint) return;
+        
+        if (window.soundManager) {
+            window.soundManager.playClick();
+        }
+        
+        // Выбранная карточка сбрасывается - подсказка начинает ход заново
+        if (window.dragDropManager) {
+            window.dragDropManager.reset();
+        }
+        
+        this.view.showHint(hint);
+        this.updateAllUI();
+        this.markDailyStarted();
+        this.saveSnapshot();
+    }
+    
+    /**
+     * Сохранить партию (модель сама решает, можно ли сейчас снять снимок)
+     */
+    saveSnapshot() {
+        const snapshot = this.model.serialize(Date.now());
+        if (snapshot) {
+            this.snapshotStore.save(snapshot);
+        }
+    }
+    
+    /**
+     * Конец хода: разблокировать доску, отметить начатое испытание,
+     * сохранить партию, выполнить отложенную паузу
+     */
+    finishMove() {
+        this.model.setState('PLAYING');
+        this.model.startTurn(Date.now());
+        this.view.setInteractionEnabled(true);
+        this.markDailyStarted();
+        this.saveSnapshot();
+        
+        if (this.pauseRequested) {
+            this.pauseRequested = false;
+            this.pauseGame();
+        }
+    }
+    
+    // ═══════════════════════════════════════════════════════════
+    // ТАЙМЕР (TIME-ATTACK)
+    // ═══════════════════════════════════════════════════════════
+    
+    startTimerLoop() {
+        this.stopTimerLoop();
+        this.timerInterval = setInterval(() => this.handleTimerTick(), 250);
+    }
+    
+    stopTimerLoop() {
+        if (this.timerInterval) {
+            clearInterval(this.timerInterval);
+            this.timerInterval = null;
+        }
+    }
+    
+    handleTimerTick() {
+        const remaining = this.model.tickTimer(Date.now());
+        this.view.updateTimer(remaining);
+        
+        // Завершаем только между ходами - проверка совпадения доигрывается
+        if (this.model.isTimeUp() && this.model.state === 'PLAYING') {
+            console.log('⏰ Время вышло!');
+            this.handleGameComplete('time-up');
+        }
     }
     
     // ═══════════════════════════════════════════════════════════
@@ -247,11 +674,174 @@ class GameController {
             return false;
         }
         
+        // Memory и recall: карточки не перетаскивают (переворачивают / отвечают вводом)
+        if (!this.model.usesDragDrop()) {
+            return false;
+        }
+        
         this.draggedCardId = cardId;
         console.log('🖱️ Начало drag:', cardId);
         return true;
     }
     
+    /**
+     * Memory: открыть карточку; когда открыты левая и правая - проверяем пару
+     */
+    async handleCardFlip(cardId) {
+        const card = this.model.flipCard(cardId);
+        if (!card) return;
+        
+        console.log('🃏 Открыта карточка:', card.id);
+        
+        if (window.soundManager) {
+            window.soundManager.playClick();
+        }
+        
+        this.view.flipCard(card);
+        
+        const faceUp = this.model.getFaceUpPair();
+        if (!faceUp) return;
+        
+        // Открытая пара проверяется как обычный ход (правая → левая)
+        this.draggedCardId = faceUp[1].id;
+        await this.handleCardDrop(faceUp[0].id);
+    }
+    
+    /**
+     * Recall: выбрать карточку для ответа
+     * @param {string|null} cardId - null или неактивная карточка - первая доступная
+     */
+    selectRecallCard(cardId) {
+        const active = this.model.boardCards.left.filter(c => c.state === 'active');
+        const card = active.find(c => c.id === cardId) || active[0] || null;
+        
+        this.recallCardId = card ? card.id : null;
+        this.view.setRecallPrompt(card);
+    }
+    
+    /**
+     * Recall: первая активная карточка доски, начиная с позиции fromIndex (по кругу)
+     * @param {string|null} skipCardId - Карточка, которую не спрашиваем
+     * @returns {string|null} null - других активных карточек нет
+     */
+    findRecallCard(fromIndex, skipCardId = null) {
+        const left = this.model.boardCards.left;
+        
+        for (let offset = 0; offset < left.length; offset++) {
+            const card = left[(fromIndex + offset) % left.length];
+            if (card.state === 'active' && card.id !== skipCardId) return card.id;
+        }
+        return null;
+    }
+    
+    /**
+     * Recall: проверить введённый ответ к выбранной карточке
+     * Верный ответ - дальше карточка на его месте (замена) или следующая;
+     * неверный - следующая карточка, а пропущенная вернётся в свою очередь.
+     * Сразу ту же карточку не спрашиваем: показанный ответ просто переписали бы
+     */
+    async handleRecallAnswer(text) {
+        if (!this.recallCardId || !this.model.canInteract()) return;
+        
+        const cardId = this.recallCardId;
+        const index = this.model.boardCards.left.findIndex(c => c.id === cardId);
+        
+        if (!this.model.setState('CHECKING')) {
+            console.error('❌ Не удалось перейти в CHECKING');
+            return;
+        }
+        
+        const result = this.model.checkAnswer(this.recallCardId, text);
+        
+        if (!result.success) {
+            // Пустой ответ - просто ждём ввода
+            console.warn('⚠️ Ответ не проверен:', result.error);
+            this.model.setState('PLAYING');
+            return;
+        }
+        
+        if (result.isMatch) {
+            await this.handleCorrectMatch(result);
+        } else {
+            await this.handleIncorrectMatch(result);
+        }
+        
+        if (this.model.state === 'PLAYING' || this.model.state === 'PAUSED') {
+            // Других карточек нет - ещё попытка к той же (ответ ей не показывали)
+            this.selectRecallCard(result.isMatch ?
+                this.findRecallCard(Math.max(index, 0)) :
+                this.findRecallCard(index + 1, cardId) || cardId);
+        }
+    }
+    
+    /**
+     * Викторина: показать текущий вопрос
+     */
+    showQuizQuestion() {
+        const question = this.model.getCurrentQuestion();
+        if (question) {
+            this.view.renderQuestion(question, this.model.questionIndex + 1, this.model.questions.length);
+        }
+    }
+    
+    /**
+     * Викторина: ответ на вопрос - подсветка вариантов, затем следующий вопрос
+     */
+    async handleQuizAnswer(optionIndex) {
+        if (!this.model.canInteract()) return;
+        
+        if (!this.model.setState('CHECKING')) {
+            console.error('❌ Не удалось перейти в CHECKING');
+            return;
+        }
+        
+        const result = this.model.answerQuestion(optionIndex);
+        
+        if (!result.success) {
+            console.warn('⚠️ Ответ не принят:', result.error);
+            this.model.setState('PLAYING');
+            return;
+        }
+        
+        this.view.setInteractionEnabled(false);
+        
+        if (window.soundManager) {
+            if (result.isCorrect) {
+                window.soundManager.playSuccess();
+            } else {
+                window.soundManager.playError();
+            }
+        }
+        
+        this.view.showQuizAnswer(optionIndex, result.correctIndex);
+        if (result.isCorrect) {
+            this.view.showMatchDescription(result.question.description);
+        }
+        this.updateAllUI();
+        
+        // После ошибки - подольше, чтобы запомнить правильный ответ
+        await this.delay(result.isCorrect ? 1000 : 1500);
+        
+        if (this.model.isGameFinished()) {
+            console.log('🏁 Вопросы закончились!');
+            this.handleGameComplete();
+            return;
+        }
+        
+        this.showQuizQuestion();
+        this.finishMove();
+    }
+    
+    /**
+     * Memory: закрыть карточки несостоявшейся пары
+     */
+    flipBackCards(result) {
+        if (!this.model.isMemory()) return;
+        
+        this.model.flipBack(result.card1.id, result.card2.id);
+        this.view.flipBack(result.card1.id, result.card2.id);
+    }
+    
     /**
      * Сброс карточки на цель
      */
@@ -269,6 +859,9 @@ class GameController {
         
         console.log('🎯 Drop:', this.draggedCardId, '→', targetCardId);
         
+        // Ход сделан - подсветка подсказки больше не нужна
+        this.view.clearHint();
+        
         // Блокируем состояние
         if (!this.model.setState('CHECKING')) {
             console.error('❌ Не удалось перейти в CHECKING');
@@ -287,7 +880,11 @@ class GameController {
             return;
         }
         
-        if (result.isMatch) {
+        if (result.blocked) {
+            await this.handleBlockedMatch(result);
+        } else if (result.isMatch && this.model.isChain()) {
+            await this.handleChainLink(result);
+        } else if (result.isMatch) {
             await this.handleCorrectMatch(result);
         } else {
             await this.handleIncorrectMatch(result);
@@ -318,16 +915,69 @@ class GameController {
         
         // Применяем к модели (помечает как matched, но НЕ удаляет с доски)
         console.log('📝 Обновление модели (помечаем карточки как matched)');
+        this.model.applyMatch(result.card1.id, result.card2.id, result.answer);
+        
+        await this.finishCorrectMatch([result.card1.id, result.card2.id], result.description);
+        
+        console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        console.log('✅ КОНЕЦ: Обработка совпадения завершена');
+        console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+    }
+    
+    /**
+     * Звено цепочки: первое остаётся на доске связанным,
+     * второе собирает цепочку и убирает все три карточки
+     */
+    async handleChainLink(result) {
+        console.log('🔗 Звено цепочки:', result.card1.text, '↔', result.card2.text);
+        
+        this.view.setInteractionEnabled(false);
+        
+        if (window.soundManager) {
+            window.soundManager.playSuccess();
+        }
+        
         this.model.applyMatch(result.card1.id, result.card2.id);
         
+        const middle = result.card1.side === 'middle' ? result.card1 : result.card2;
+        const chain = this.model.getChainCards(middle);
+        
+        if (chain) {
+            console.log('⛓️ Цепочка собрана:', chain.left.text, '→', chain.middle.text, '→', chain.right.text);
+            await this.finishCorrectMatch(
+                [chain.left.id, chain.middle.id, chain.right.id],
+                chain.right.description
+            );
+            return;
+        }
+        
+        const linked = middle === result.card1 ? result.card2 : result.card1;
+        this.view.showChainLink(linked.id, middle.id, linked.side);
+        this.updateAllUI();
+        
+        await this.delay(600);
+        
+        this.finishMove();
+    }
+    
+    /**
+     * Пара найдена: анимация, описание и замена карточек на доске
+     * @param {Array} cardIds - Карточки пары (в цепочке - все три)
+     * @param {string} description - Описание пары
+     */
+    async finishCorrectMatch(cardIds, description) {
+        if (this.model.isTimed()) {
+            this.view.flashTimer('bonus');
+        }
+        
         // Анимация совпадения (зелёная вспышка)
         console.log('🎨 Запуск зелёной анимации');
-        this.view.showCorrectMatch(result.card1.id, result.card2.id);
+        this.view.showCorrectMatch(...cardIds);
         
         // Показываем описание пары
-        if (result.description) {
-            console.log('💬 Показ описания пары:', result.description.substring(0, 50) + '...');
-            this.view.showMatchDescription(result.description);
+        if (description) {
+            console.log('💬 Показ описания пары:', description.substring(0, 50) + '...');
+            this.view.showMatchDescription(description);
         }
         
         // Обновляем UI (счёт, комбо)
@@ -349,7 +999,7 @@ class GameController {
         
         // Получаем замены для совпавших карточек
         console.log('🔄 Запрос замен для совпавших карточек...');
-        const replacements = this.model.getReplacements(result.card1.id, result.card2.id);
+        const replacements = this.model.getReplacements(...cardIds);
         console.log('📦 Получено замен:', replacements.length);
         
         // Очищаем состояние drag-drop перед заменами
@@ -379,13 +1029,8 @@ class GameController {
                     const newCardEl = document.getElementById(replacement.newCard.id);
                     if (newCardEl) {
                         console.log('   ➜ Добавление обработчиков событий...');
-                        if (replacement.newCard.side === 'right') {
-                            window.dragDropManager.addRightCardListeners(newCardEl);
-                            console.log('   ✓ Правые обработчики добавлены');
-                        } else if (replacement.newCard.side === 'left') {
-                            window.dragDropManager.addLeftCardListeners(newCardEl);
-                            console.log('   ✓ Левые обработчики добавлены');
-                        }
+                        window.dragDropManager.addCardListeners(newCardEl);
+                        console.log('   ✓ Обработчики добавлены');
                     } else {
                         console.warn('   ⚠️ Карточка не найдена в DOM!');
                     }
@@ -401,12 +1046,7 @@ class GameController {
         
         // Возвращаем состояние
         console.log('🔓 Разблокировка взаимодействия');
-        this.model.setState('PLAYING');
-        this.view.setInteractionEnabled(true);
-        
-        console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-        console.log('✅ КОНЕЦ: Обработка совпадения завершена');
-        console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+        this.finishMove();
     }
     
     /**
@@ -424,42 +1064,111 @@ class GameController {
         }
         
         // Применяем к модели
-        this.model.applyMismatch();
+        this.model.applyMismatch(result.card1.id, result.card2.id, result.answer);
+        
+        if (this.model.isTimed()) {
+            this.view.flashTimer('penalty');
+        }
+        
+        if (this.model.hasLives()) {
+            this.view.flashLives();
+        }
         
         // Анимация
         this.view.showIncorrectMatch(result.card1.id, result.card2.id);
         
+        // Recall: показываем, что надо было ввести, только если дальше
+        // спросим другую карточку - иначе ответ тут же перепишут
+        if (result.answer && this.findRecallCard(0, result.card1.id)) {
+            this.view.showRecallAnswer(result.card2.text);
+        }
+        
         // Обновляем UI
         this.updateAllUI();
         
-        // Ждём анимацию
-        await this.delay(800);
+        // Ждём анимацию (в memory - дольше, чтобы запомнить карточки)
+        await this.delay(this.model.isMemory() ? 1500 : 800);
+        
+        // Survival: последняя жизнь потеряна, endless: любая ошибка
+        const finishReason = this.model.getMismatchFinishReason();
+        if (finishReason) {
+            console.log(`💀 Ошибка завершает игру: ${finishReason}`);
+            this.handleGameComplete(finishReason);
+            return;
+        }
+        
+        this.flipBackCards(result);
         
         // Возвращаем состояние
-        this.model.setState('PLAYING');
-        this.view.setInteractionEnabled(true);
+        this.finishMove();
+    }
+    
+    /**
+     * Совпадение верное (alsoMatches), но после него партию не закончить -
+     * ход не засчитывается ни в плюс, ни в минус
+     */
+    async handleBlockedMatch(result) {
+        console.log('🔒 Совпадение заблокировано - для другой карточки не останется пары');
+        
+        this.view.setInteractionEnabled(false);
+        this.view.showBlockedMatch(result.card1.id, result.card2.id);
+        
+        await this.delay(600);
+        
+        this.flipBackCards(result);
+        
+        // Ход продолжается - время реакции считаем с его начала
+        const turnStartedAt = this.model.turnStartedAt;
+        this.finishMove();
+        this.model.turnStartedAt = turnStartedAt;
     }
     
     /**
      * Завершение игры
+     * @param {string} reason - completed | time-up | defeat | mistake
      */
-    handleGameComplete() {
+    handleGameComplete(reason = 'completed') {
         console.log('🎉 Игра завершена!');
         
+        this.stopTimerLoop();
+        this.pauseRequested = false;
+        
         // Устанавливаем состояние
-        this.model.setState('FINISHED');
-        this.model.endTime = Date.now();
+        if (!this.model.finishGame(reason)) {
+            return;
+        }
+        
+        // Партия окончена - продолжать нечего
+        this.snapshotStore.clear(this.model);
+        this.view.showGameControls(false);
+        this.view.clearHint();
+        
+        this.view.setInteractionEnabled(false);
+        if (window.dragDropManager) {
+            window.dragDropManager.reset();
+        }
         
         // Звук
         if (window.soundManager) {
-            window.soundManager.playVictory();
+            if (reason === 'completed') {
+                window.soundManager.playVictory();
+            } else {
+                window.soundManager.playError();
+            }
         }
         
         // Получаем результаты
         const results = this.model.getResults();
         
-        // Показываем экран завершения
+        // Испытание дня - одна попытка (отметка хранит одну дату - прошлое
+        // испытание не должно затирать сегодняшнее)
+        if (this.dailyChallenge && this.dailyChallenge.dateKey === DailyChallenge.today().dateKey) {
+            this.dailyChallenge.markPlayedLocally();
+        }
+        
+        // Показываем экран завершения и разбор ошибок
         this.view.showCompletionScreen(results);
+        this.view.showMistakes(results.mistakes, this.getPracticeUrl(results.mistakes));
         
         // Сохраняем прогресс
         this.saveProgress(results);
@@ -471,9 +1180,12 @@ class GameController {
     
     updateAllUI() {
         this.view.updateScore(this.model.score);
-        this.view.updateCombo(this.model.combo);
+        this.view.updateCombo(this.model.combo, this.model.rules.comboThreshold);
+        this.view.updateLives(this.model.lives, this.model.rules.livesStart);
+        this.view.updateHintButton(this.model.getNextHintCost());
+        // Викторина: сколько вопросов пройдено (верно или нет)
         this.view.updateProgress(
-            this.model.matchedPairsCount,
+            this.model.isQuiz() ? this.model.questionIndex : this.model.matchedPairsCount,
             this.model.totalPairs
         );
     }
@@ -490,6 +1202,48 @@ class GameController {
         
         console.log('💾 Сохраняем прогресс:', results);
         
+        // Повторение по парам учитывается в любой партии (и в тренировке, и в испытании);
+        // в миксе - у исходных тем
+        if (this.mixThemeIds) {
+            ThemeMix.splitPairResults(this.model.getPairResults()).forEach((pairResults, themeId) => {
+                window.progressManager.saveMastery(themeId, pairResults);
+            });
+        } else {
+            window.progressManager.saveMastery(this.model.themeId, this.model.getPairResults());
+        }
+        
+        // Тренировка по ошибкам - неполная доска, в рекорды не идёт
+        if (this.model.practice) {
+            console.log('⚠️ Тренировка - прогресс не сохраняется');
+            return;
+        }
+        
+        // Испытание дня хранится отдельно от обычного прогресса
+        if (this.dailyChallenge) {
+            if (this.dailyChallenge.dateKey !== DailyChallenge.today().dateKey) {
+                console.log('⚠️ Испытание не сегодняшнее - результат не сохраняется');
+                return;
+            }
+            
+            window.progressManager.saveDailyResult(
+                this.dailyChallenge.toJSON(),
+                this.model.themeId,
+                this.model.difficulty,
+                results
+            );
+            return;
+        }
+        
+        // Бесконечный режим - рекорд серии на всю тему
+        if (this.model.isEndless()) {
+            window.progressManager.saveEndlessResult(
+                this.model.themeId,
+                this.model.difficulty,
+                results
+            );
+            return;
+        }
+        
         window.progressManager.saveGameResult(
             this.model.themeId,
             this.model.difficulty,
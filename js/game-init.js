@@ -32,13 +32,32 @@
             // ШАГ 3: Получение параметров
             console.log('Шаг 3: Получение параметров из URL...');
             const params = getURLParams();
-            console.log('  theme:', params.themeId);
+            console.log('  theme:', params.mix ? `микс ${params.mix.join(', ')}` : params.themeId);
             console.log('  difficulty:', params.difficulty);
+            console.log('  mode:', params.mode);
+            if (params.practice) {
+                console.log('  practice:', params.practice.join(', '));
+            }
+            if (params.rules) {
+                console.log('  rules:', params.rules);
+            }
+            
+            // Ежедневное испытание задаёт seed само (одинаковая доска у всех)
+            const daily = params.daily ? new DailyChallenge(params.daily) : null;
+            if (daily) {
+                console.log(`  daily: #${daily.number} (${daily.dateKey})`);
+            }
+            
+            // Seed: из URL или новый - чтобы любую партию можно было повторить
+            const seed = daily ? daily.seed : (params.seed || SeededRandom.generateSeed());
+            console.log('  seed:', seed, params.seed || daily ? '(из URL)' : '(сгенерирован)');
             
             // ШАГ 4: Создание MVC компонентов
             console.log('Шаг 4: Создание MVC компонентов...');
-            const model = new GameModel();
-            console.log('  ✅ GameModel создан');
+            // Викторина, цепочка и memory - свои модели поверх GameModel
+            const ModelClass = { quiz: QuizModel, chain: ChainModel, memory: MemoryModel }[params.mode] || GameModel;
+            const model = new ModelClass({ random: new SeededRandom(seed) });
+            console.log(`  ✅ ${ModelClass.name} создан`);
             
             const view = new GameView();
             console.log('  ✅ GameView создан');
@@ -54,7 +73,13 @@
             
             // ШАГ 5: Запуск bootstrap
             console.log('Шаг 5: Запуск bootstrap процесса...');
-            await controller.bootstrap(params.themeId, params.difficulty);
+            await controller.bootstrap(params.themeId, params.difficulty, {
+                mode: params.mode,
+                daily,
+                practice: params.practice,
+                rules: params.rules,
+                mix: params.mix
+            });
             
             console.log('='.repeat(60));
             console.log('✅ ИНИЦИАЛИЗАЦИЯ ЗАВЕРШЕНА УСПЕШНО');
@@ -75,8 +100,22 @@
     function checkClasses() {
         const requiredClasses = {
             'GameModel': typeof GameModel !== 'undefined',
+            'QuizModel': typeof QuizModel !== 'undefined',
+            'ChainModel': typeof ChainModel !== 'undefined',
+            'MemoryModel': typeof MemoryModel !== 'undefined',
             'GameView': typeof GameView !== 'undefined',
-            'GameController': typeof GameController !== 'undefined'
+            'GameController': typeof GameController !== 'undefined',
+            'SeededRandom': typeof SeededRandom !== 'undefined',
+            'DailyChallenge': typeof DailyChallenge !== 'undefined',
+            'GameSnapshotStore': typeof GameSnapshotStore !== 'undefined',
+            'SpacedRepetition': typeof SpacedRepetition !== 'undefined',
+            'GameRules': typeof GameRules !== 'undefined',
+            'DifficultyDistribution': typeof DifficultyDistribution !== 'undefined',
+            'TextMatching': typeof TextMatching !== 'undefined',
+            'ThemeMix': typeof ThemeMix !== 'undefined',
+            'ThemeSchema': typeof ThemeSchema !== 'undefined',
+            'ThemeAmbiguity': typeof ThemeAmbiguity !== 'undefined',
+            'ThemeMigrations': typeof ThemeMigrations !== 'undefined'
         };
         
         const missing = [];
@@ -124,8 +163,25 @@
         const urlParams = new URLSearchParams(window.location.search);
         const themeId = urlParams.get('theme');
         const difficulty = parseInt(urlParams.get('difficulty')) || 1;
+        const seed = urlParams.get('seed');
+        const mode = urlParams.get('mode') || 'classic';
+        
+        // Микс: mix=theme1,theme2,... вместо theme (см. theme-mix.js)
+        const mixParam = urlParams.get('mix');
+        let mix = null;
+        
+        if (mixParam !== null) {
+            mix = mixParam.split(',').filter(Boolean);
+            const mixErrors = ThemeMix.validateThemeIds(mix);
+            if (mixErrors.length > 0) {
+                throw new Error(`Некорректный микс тем: ${mixErrors.join('; ')}`);
+            }
+            if (themeId) {
+                throw new Error('Укажите либо theme, либо mix');
+            }
+        }
         
-        if (!themeId) {
+        if (!themeId && !mix) {
             throw new Error('Не указан параметр theme в URL');
         }
         
@@ -133,7 +189,62 @@
             throw new Error(`Некорректная сложность: ${difficulty} (должна быть 1-3)`);
         }
         
-        return { themeId, difficulty };
+        if (!GAME_MODES.includes(mode)) {
+            throw new Error(`Неизвестный режим игры (доступны: ${GAME_MODES.join(', ')})`);
+        }
+        
+        if (seed !== null && !/^[a-z0-9\-_]{1,64}$/i.test(seed)) {
+            throw new Error('Некорректный seed (латиница, цифры, - и _, до 64 символов)');
+        }
+        
+        const daily = urlParams.get('daily');
+        
+        if (daily !== null && mix) {
+            throw new Error('Ежедневное испытание не бывает миксом');
+        }
+        
+        if (daily !== null) {
+            if (!DailyChallenge.isValidDateKey(daily)) {
+                throw new Error('Некорректная дата испытания (нужна дата ГГГГ-ММ-ДД)');
+            }
+            if (daily > DailyChallenge.today().dateKey) {
+                throw new Error(`Испытание ${daily} ещё не открыто`);
+            }
+            // Тему и сложность сверяет GameController.checkDailyPick
+            if (mode !== 'classic') {
+                throw new Error('Ежедневное испытание играется только в классическом режиме');
+            }
+        }
+        
+        // Тренировка по ошибкам: practice=id1,id2,...
+        const practiceParam = urlParams.get('practice');
+        let practice = null;
+        
+        if (practiceParam !== null) {
+            practice = practiceParam.split(',').filter(Boolean);
+            if (practice.length === 0 || practice.some(id => !/^[a-z0-9\-_]{1,64}$/i.test(id))) {
+                throw new Error('Некорректный список пар для тренировки (id через запятую: латиница, цифры, - и _)');
+            }
+            if (daily !== null) {
+                throw new Error('Ежедневное испытание не бывает тренировкой');
+            }
+        }
+        
+        // Правила партии: ?scoreIncorrect=-5&livesStart=5 (см. game-rules.js)
+        const rules = GameRules.fromURLParams(urlParams);
+        
+        if (rules) {
+            const ruleErrors = GameRules.validate(rules);
+            if (ruleErrors.length > 0) {
+                throw new Error(`Некорректные правила в URL: ${ruleErrors.join('; ')}`);
+            }
+            // Ежедневное испытание у всех одинаковое
+            if (daily !== null) {
+                throw new Error('В ежедневном испытании правила менять нельзя');
+            }
+        }
+        
+        return { themeId, difficulty, mode, seed, daily, practice, rules, mix };
     }
     
     function showFatalError(error) {
@@ -12,8 +12,22 @@
  * @version 5.0 - Поддержка множественных правых карточек с разной сложностью
  */
 
+// Режимы игры (параметр mode в URL)
+const GAME_MODES = ['classic', 'time-attack', 'survival', 'endless', 'review', 'adaptive', 'chain', 'memory', 'recall', 'quiz', 'reverse'];
+
+// Все колонки доски слева направо (режим использует свои, см. getSides)
+const CARD_SIDES = ['left', 'middle', 'right'];
+
+// Версия формата сохранённой партии (serialize/restore).
+// Увеличивать при любом изменении состава полей - старые снимки отбрасываются
+const GAME_SNAPSHOT_VERSION = 9;
+
 class GameModel {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {SeededRandom} options.random - Источник случайности (по умолчанию Math.random)
+     */
+    constructor(options = {}) {
         console.log('📊 Инициализация GameModel v5.0');
         
         // ═══════════════════════════════════════════════════════
@@ -29,12 +43,22 @@ class GameModel {
          * - READY: Готов к старту
          * - PLAYING: Игра идёт
          * - CHECKING: Проверка совпадения (блокировка)
+         * - PAUSED: Пауза (таймер стоит, доска скрыта)
          * - FINISHED: Игра завершена
          * - ERROR: Ошибка
          */
         this.state = 'IDLE';
         this.stateHistory = ['IDLE'];
         
+        /**
+         * finishReason - Причина завершения (для FINISHED)
+         * - completed: Все пары найдены
+         * - time-up: Закончилось время (time-attack)
+         * - defeat: Закончились жизни (survival), PLAYING/CHECKING → FINISHED
+         * - mistake: Первая ошибка (endless), CHECKING → FINISHED
+         */
+        this.finishReason = null;
+        
         // ═══════════════════════════════════════════════════════
         // ДАННЫЕ ТЕМЫ
         // ═══════════════════════════════════════════════════════
@@ -43,6 +67,38 @@ class GameModel {
         this.themeId = null;
         this.difficulty = 1;
         
+        /**
+         * mode - Режим игры (см. GAME_MODES)
+         */
+        this.mode = 'classic';
+        
+        /**
+         * daily - Ежедневное испытание { dateKey, number } или null
+         */
+        this.daily = null;
+        
+        /**
+         * practice - pairId пар тренировки по ошибкам или null
+         */
+        this.practice = null;
+        
+        /**
+         * reviewPriorities - { [pairId]: срочность } для режима повторения
+         * (SpacedRepetition.getPriorities), null - обычный подбор
+         */
+        this.reviewPriorities = null;
+        
+        // ═══════════════════════════════════════════════════════
+        // СЛУЧАЙНОСТЬ (seed для воспроизводимых партий)
+        // ═══════════════════════════════════════════════════════
+        
+        /**
+         * random - Генератор с методом next() (SeededRandom)
+         * Если не передан - используется Math.random (партию не воспроизвести)
+         */
+        this.random = options.random || null;
+        this.seed = this.random ? this.random.seed : null;
+        
         // ═══════════════════════════════════════════════════════
         // КАРТОЧКИ (МОДЕЛЬ - НЕ DOM!)
         // ═══════════════════════════════════════════════════════
@@ -50,14 +106,22 @@ class GameModel {
         /**
          * cards - Массив ВСЕХ карточек
          * Структура: {id, pairId, side, text, state, position}
+         * 
+         * Состояния карточки (state):
+         * - pool: ждёт в пуле
+         * - active: на доске, доступна (в memory - открыта лицом вверх)
+         * - facedown: на доске рубашкой вверх (только memory)
+         * - linked: связана со средней карточкой (только chain)
+         * - matched: пара найдена
+         * - missed: на вопрос ответили неверно (только quiz)
          */
         this.cards = [];
         
         /**
          * Карточки на доске и в пуле
          */
-        this.boardCards = { left: [], right: [] };
-        this.poolCards = { left: [], right: [] };
+        this.boardCards = { left: [], middle: [], right: [] };
+        this.poolCards = { left: [], middle: [], right: [] };
         
         // ═══════════════════════════════════════════════════════
         // СТАТИСТИКА
@@ -71,17 +135,91 @@ class GameModel {
         this.matchedPairsCount = 0;
         this.totalPairs = 0;
         
+        /**
+         * Из чего сложились очки (penalties - реально списанное, счёт не уходит ниже 0)
+         */
+        this.scoreBreakdown = this.createScoreBreakdown();
+        
         this.startTime = null;
         this.endTime = null;
         
+        /**
+         * Пауза: момент начала текущей паузы и сумма всех пауз (мс)
+         */
+        this.pausedAt = null;
+        this.pausedDuration = 0;
+        
+        /**
+         * Обратный отсчёт (только time-attack), в миллисекундах
+         */
+        this.timeRemaining = null;
+        this.lastTimerTick = null;
+        
+        /**
+         * Жизни (только survival)
+         */
+        this.lives = null;
+        
+        /**
+         * Подсказки: сколько взято за партию и текущая цель
+         * hint = { pairId, tier } - повторная подсказка к той же паре
+         * поднимает уровень (1 → 2 → 3)
+         */
+        this.hintsUsed = 0;
+        this.hint = null;
+        
+        /**
+         * Журнал ходов: каждая попытка сопоставления
+         * { pairId, leftText, chosenText, correctText, description, difficulty, isMatch, reactionMs, answer }
+         * answer - введённый ответ в recall (см. checkAnswer), иначе null
+         */
+        this.attempts = [];
+        
+        /**
+         * Начало текущего хода (для времени реакции)
+         */
+        this.turnStartedAt = null;
+        
+        /**
+         * Адаптивный режим (только adaptive)
+         * - adaptiveLevel: сложность следующих правых карточек (1-3)
+         * - adaptiveVariants: pairId → rights темы (варианты для подмены)
+         */
+        this.adaptiveLevel = null;
+        this.adaptiveVariants = null;
+        
+        /**
+         * Бесконечный режим (только endless)
+         * - endlessSource: все пары темы, из которых пополняется пул
+         * - endlessDealt: pairId → сколько раз пара выдавалась
+         * - endlessUsedVariants: pairId → тексты уже выданных rights
+         *   (когда выданы все варианты сложности, круг начинается заново)
+         */
+        this.endlessSource = null;
+        this.endlessDealt = {};
+        this.endlessUsedVariants = {};
+        this.dealtPairsCount = 0;
+        
+        // ═══════════════════════════════════════════════════════
+        // ПРАВИЛА (очки, штрафы, доска - см. game-rules.js)
+        // ═══════════════════════════════════════════════════════
+        
+        /**
+         * rules - Полный набор правил партии (GameRules.resolve)
+         * Контроллер собирает его из режима, темы и URL
+         */
+        this.rules = GameRules.resolve();
+        
         // ═══════════════════════════════════════════════════════
         // КОНСТАНТЫ
         // ═══════════════════════════════════════════════════════
         
-        this.SCORE_CORRECT = 50;
-        this.SCORE_INCORRECT = -10;
-        this.COMBO_BONUS = 10;
-        this.CARDS_ON_BOARD = 6; // Пар на доске
+        // Adaptive
+        this.ADAPTIVE_WINDOW = 6;            // Последние попытки, по которым судим
+        this.ADAPTIVE_MIN_ATTEMPTS = 3;      // Раньше сложность не повышаем
+        this.ADAPTIVE_FAST_MS = 5000;        // Быстрый ответ - до 5 сек
+        this.ADAPTIVE_STRUGGLE_ACCURACY = 0.6;
+        this.ADAPTIVE_STREAK_ACCURACY = 0.8;
     }
     
     // ═══════════════════════════════════════════════════════════
@@ -96,8 +234,9 @@ class GameModel {
             'IDLE': ['LOADING', 'ERROR'],
             'LOADING': ['READY', 'ERROR'],
             'READY': ['PLAYING', 'ERROR'],
-            'PLAYING': ['CHECKING', 'FINISHED', 'ERROR'],
+            'PLAYING': ['CHECKING', 'PAUSED', 'FINISHED', 'ERROR'],
             'CHECKING': ['PLAYING', 'FINISHED', 'ERROR'],
+            'PAUSED': ['PLAYING', 'ERROR'],
             'FINISHED': ['IDLE'],
             'ERROR': ['IDLE', 'LOADING']
         };
@@ -130,266 +269,933 @@ class GameModel {
         return this.state === 'CHECKING';
     }
     
-    // ═══════════════════════════════════════════════════════════
-    // ИНИЦИАЛИЗАЦИЯ КАРТОЧЕК
-    // ═══════════════════════════════════════════════════════════
-    
     /**
-     * Инициализация карточек с умным подбором по сложности
-     * @param {Array} pairs - Массив пар с множественными правыми карточками
-     * @param {Object} distribution - Распределение: { easy: N, medium: N, hard: N }
+     * Завершить игру с указанием причины
+     * @param {string} reason - completed | time-up | defeat
      */
-    initializeCards(pairs, distribution) {
-        console.log(`🎴 Инициализация: ${pairs.length} пар источника`);
-        console.log(`📊 Распределение:`, distribution);
-        
-        // 1. УМНЫЙ ПОДБОР: выбираем пары с учётом распределения
-        const selectedPairs = this.selectCardsForGame(pairs, distribution);
-        
-        if (selectedPairs.length === 0) {
-            throw new Error('Не удалось подобрать карточки для игры');
+    finishGame(reason, now = Date.now()) {
+        if (!this.setState('FINISHED')) {
+            return false;
         }
         
-        this.totalPairs = selectedPairs.length;
-        this.cards = [];
-        
-        // 2. Создаём карточки из выбранных пар
-        selectedPairs.forEach((pair, index) => {
-            // Левая карточка
-            this.cards.push({
-                id: `card_left_${pair.pairId}_${index}`,
-                pairId: pair.pairId,
-                side: 'left',
-                text: pair.leftText,
-                state: 'pool',
-                position: index
-            });
-            
-            // Правая карточка (уже выбранная по сложности)
-            this.cards.push({
-                id: `card_right_${pair.pairId}_${index}`,
-                pairId: pair.pairId,
-                side: 'right',
-                text: pair.rightText,
-                description: pair.rightDescription,
-                difficulty: pair.rightDifficulty,
-                state: 'pool',
-                position: index
-            });
-        });
-        
-        // 3. Разделяем по сторонам
-        this.poolCards.left = this.cards.filter(c => c.side === 'left');
-        this.poolCards.right = this.cards.filter(c => c.side === 'right');
-        
-        // 4. Перемешиваем пулы
-        this.poolCards.left = this.shuffle(this.poolCards.left);
-        this.poolCards.right = this.shuffle(this.poolCards.right);
-        
-        // 5. Гарантируем наличие совпадений на доске
-        this.ensureMatchOnBoard();
-        
-        // 6. Выкладываем на доску
-        this.boardCards.left = this.poolCards.left.splice(0, this.CARDS_ON_BOARD);
-        this.boardCards.right = this.poolCards.right.splice(0, this.CARDS_ON_BOARD);
-
-        const leftPairIds = new Set(this.boardCards.left.map(c => c.pairId));
-        const rightPairIds = new Set(this.boardCards.right.map(c => c.pairId));
-        const matches = [...leftPairIds].filter(id => rightPairIds.has(id));
-
-
-        
-        // Помечаем как активные
-        [...this.boardCards.left, ...this.boardCards.right].forEach(c => {
-            c.state = 'active';
-        });
+        this.finishReason = reason;
+        this.endTime = now;
         
-        console.log(`✅ Создано ${this.cards.length} карточек (${this.totalPairs} пар)`);
-        console.log(`📊 На доске: ${this.boardCards.left.length} левых, ${this.boardCards.right.length} правых`);
-
-        if (matches.length === 0) {
-            console.error('НЕТ СОВПАДЕНИЙ НА ДОСКЕ ПОСЛЕ ИНИЦИАЛИЗАЦИИ');
-            console.error('Левые pairIds:', Array.from(leftPairIds));
-            console.error('Правые pairIds:', Array.from(rightPairIds));
-        } else {
-            console.log(`На доске ${matches.length} возможных совпадений:`, matches);
-        }
+        console.log(`🏁 Игра завершена: ${reason}`);
+        return true;
     }
     
+    // ═══════════════════════════════════════════════════════════
+    // ПАУЗА
+    // ═══════════════════════════════════════════════════════════
+    
     /**
-     * Умный подбор карточек с учётом распределения сложности
-     * @param {Array} pairs - Массив пар с множественными правыми карточками
-     * @param {Object} distribution - { easy: N, medium: N, hard: N }
-     * @returns {Array} Массив выбранных пар
+     * Поставить на паузу (только между ходами)
      */
-    selectCardsForGame(pairs, distribution) {
-        const { easy = 0, medium = 0, hard = 0 } = distribution;
-        const totalNeeded = easy + medium + hard;
-        
-        console.log(`🎯 Подбор карточек: легких ${easy}, средних ${medium}, сложных ${hard} (всего ${totalNeeded})`);
-        
-        // 1. Создаём пулы правых карточек по сложности
-        const rightCardPools = { 1: [], 2: [], 3: [] };
-        
-        pairs.forEach(pair => {
-            if (!pair.rights || !Array.isArray(pair.rights)) {
-                console.warn(`⚠️ Пара ${pair.id} не имеет массива rights`);
-                return;
-            }
-            
-            pair.rights.forEach(right => {
-                rightCardPools[right.difficulty].push({
-                    leftText: pair.left,
-                    leftId: pair.id,
-                    rightText: right.text,
-                    rightDescription: right.description,
-                    rightDifficulty: right.difficulty,
-                    pairId: pair.id
-                });
-            });
-        });
+    pause(now = Date.now()) {
+        if (this.state !== 'PLAYING') return false;
         
-        console.log(`📦 Пулы созданы:`, {
-            easy: rightCardPools[1].length,
-            medium: rightCardPools[2].length,
-            hard: rightCardPools[3].length
-        });
+        // Досчитываем обратный отсчёт до момента паузы
+        this.tickTimer(now);
         
-        // 2. Перемешиваем каждый пул
-        [1, 2, 3].forEach(diff => {
-            rightCardPools[diff] = this.shuffle(rightCardPools[diff]);
-        });
+        if (!this.setState('PAUSED')) return false;
         
-        // 3. ГЛАВНЫЙ АЛГОРИТМ: Подбор карточек
-        const selectedPairs = [];
-        const usedLeftIds = new Set();
+        this.pausedAt = now;
+        console.log('⏸️ Пауза');
+        return true;
+    }
+    
+    /**
+     * Снять с паузы
+     */
+    resume(now = Date.now()) {
+        if (!this.setState('PLAYING')) return false;
         
-        // Порядок важен: сначала сложные, потом средние, потом лёгкие
-        const pickingOrder = [
-            { difficulty: 3, count: hard },
-            { difficulty: 2, count: medium },
-            { difficulty: 1, count: easy }
-        ];
+        this.pausedDuration += now - this.pausedAt;
         
-        pickingOrder.forEach(({ difficulty: diff, count }) => {
-            if (count === 0) return;
-            
-            console.log(`\n🔍 Выбираем ${count} карточек сложности ${diff}`);
-            
-            let picked = 0;
-            const pool = rightCardPools[diff];
-            
-            for (let i = 0; i < pool.length && picked < count; i++) {
-                const candidate = pool[i];
-                
-                // Проверка: не использовали ли уже эту левую карточку?
-                if (!usedLeftIds.has(candidate.pairId)) {
-                    // ✅ Берём эту пару
-                    selectedPairs.push(candidate);
-                    usedLeftIds.add(candidate.pairId);
-                    picked++;
-                    
-                    console.log(`  ✓ "${candidate.leftText}" → "${candidate.rightText}"`);
-                    
-                    // 🗑️ КЛЮЧЕВОЙ МОМЕНТ: Удаляем ВСЕ правые карточки этой левой из ВСЕХ пулов
-                    [1, 2, 3].forEach(poolDiff => {
-                        const before = rightCardPools[poolDiff].length;
-                        rightCardPools[poolDiff] = rightCardPools[poolDiff].filter(
-                            card => card.pairId !== candidate.pairId
-                        );
-                        const removed = before - rightCardPools[poolDiff].length;
-                        if (removed > 0) {
-                            console.log(`    🗑️ Удалено ${removed} из пула сложности ${poolDiff}`);
-                        }
-                    });
-                }
-            }
-            
-            if (picked < count) {
-                console.warn(`⚠️ Не хватило карточек сложности ${diff}! Нужно ${count}, получено ${picked}`);
-            }
-        });
+        // Пауза не входит во время реакции
+        if (this.turnStartedAt !== null) {
+            this.turnStartedAt += now - this.pausedAt;
+        }
         
-        console.log(`\n✅ Итого выбрано: ${selectedPairs.length} пар`);
+        this.pausedAt = null;
+        this.lastTimerTick = now;
         
-        // Проверка уникальности
-        const uniqueLefts = new Set(selectedPairs.map(p => p.pairId));
-        console.log(`✓ Уникальных левых карточек: ${uniqueLefts.size}`);
+        console.log('▶️ Продолжение');
+        return true;
+    }
+    
+    isPaused() {
+        return this.state === 'PAUSED';
+    }
+    
+    /**
+     * Чистое время игры без пауз (мс)
+     */
+    getElapsedTime(now = Date.now()) {
+        if (!this.startTime) return 0;
         
-        return selectedPairs;
+        const until = this.pausedAt !== null ? this.pausedAt : now;
+        return Math.max(0, until - this.startTime - this.pausedDuration);
+    }
+    
+    // ═══════════════════════════════════════════════════════════
+    // ТАЙМЕР (TIME-ATTACK)
+    // ═══════════════════════════════════════════════════════════
+    
+    /**
+     * Есть ли в режиме обратный отсчёт
+     */
+    isTimed() {
+        return this.mode === 'time-attack';
     }
     
     /**
-     * Гарантировать наличие совпадения на доске
-     * Упрощённая версия - перемешиваем правую сторону до появления совпадения
+     * Запустить обратный отсчёт
      */
-    ensureMatchOnBoard() {
-        let hasMatch = false;
-        let attempts = 0;
-        const maxAttempts = 100;
+    startTimer(now = Date.now()) {
+        if (!this.isTimed()) return;
         
-        while (!hasMatch && attempts < maxAttempts) {
-            const leftFirst = this.poolCards.left.slice(0, this.CARDS_ON_BOARD);
-            const rightFirst = this.poolCards.right.slice(0, this.CARDS_ON_BOARD);
-            
-            hasMatch = this.checkAnyMatchExists(leftFirst, rightFirst);
-            
-            if (!hasMatch) {
-                this.poolCards.right = this.shuffle(this.poolCards.right);
-                attempts++;
-            }
-        }
+        this.timeRemaining = this.rules.timeAttackStart;
+        this.lastTimerTick = now;
+    }
+    
+    /**
+     * Продвинуть таймер до текущего момента
+     * Время идёт только во время игры (PLAYING / CHECKING)
+     * @returns {number|null} Оставшееся время в мс
+     */
+    tickTimer(now = Date.now()) {
+        if (!this.isTimed() || this.timeRemaining === null) return null;
         
-        if (attempts > 0) {
-            console.log(`🔄 Перемешано ${attempts} раз для гарантии совпадений`);
+        if (this.state === 'PLAYING' || this.state === 'CHECKING') {
+            this.timeRemaining = Math.max(0, this.timeRemaining - (now - this.lastTimerTick));
         }
+        this.lastTimerTick = now;
         
-        if (!hasMatch) {
-            console.warn('⚠️ Не удалось гарантировать совпадение на доске за 100 попыток');
-        }
+        return this.timeRemaining;
     }
     
     /**
-     * Получить все карточки на доске
+     * Закончилось ли время
      */
-    getAllBoardCards() {
-        return [...this.boardCards.left, ...this.boardCards.right];
+    isTimeUp() {
+        return this.isTimed() && this.timeRemaining !== null && this.timeRemaining <= 0;
     }
     
     // ═══════════════════════════════════════════════════════════
-    // ПРОВЕРКА СОВПАДЕНИЙ (ЧИСТАЯ ЛОГИКА)
+    // ЖИЗНИ (SURVIVAL)
     // ═══════════════════════════════════════════════════════════
     
     /**
-     * Проверить совпадение двух карточек
-     * ЧИСТАЯ ФУНКЦИЯ - работает только с моделью
+     * Есть ли в режиме жизни
      */
-    checkMatch(cardId1, cardId2) {
-        // Находим в модели
-        const card1 = this.cards.find(c => c.id === cardId1);
-        const card2 = this.cards.find(c => c.id === cardId2);
-        
-        // Валидация
-        if (!card1 || !card2) {
-            console.error('❌ Карточка не найдена:', cardId1, cardId2);
-            return { success: false, error: 'NOT_FOUND' };
-        }
-        
-        if (card1.state !== 'active' || card2.state !== 'active') {
-            console.warn('⚠️ Карточка не активна');
-            return { success: false, error: 'NOT_ACTIVE' };
-        }
+    hasLives() {
+        return this.mode === 'survival';
+    }
+    
+    /**
+     * Закончились ли жизни
+     */
+    isOutOfLives() {
+        return this.hasLives() && this.lives !== null && this.lives <= 0;
+    }
+    
+    /**
+     * Причина завершения после ошибки (null - игра продолжается)
+     */
+    getMismatchFinishReason() {
+        if (this.isEndless()) return 'mistake';
+        if (this.isOutOfLives()) return 'defeat';
+        return null;
+    }
+    
+    // ═══════════════════════════════════════════════════════════
+    // БЕСКОНЕЧНЫЙ РЕЖИМ (ENDLESS)
+    // ═══════════════════════════════════════════════════════════
+    
+    isEndless() {
+        return this.mode === 'endless';
+    }
+    
+    /**
+     * Начать бесконечную игру: запомнить источник и выдать первые пары
+     * (доска + запас в пуле)
+     */
+    startEndless(pairs) {
+        this.endlessSource = pairs.filter(pair => Array.isArray(pair.rights) && pair.rights.length > 0);
+        this.endlessDealt = {};
+        this.endlessUsedVariants = {};
+        
+        return this.dealEndlessPairs(this.rules.cardsOnBoard * 2, new Set());
+    }
+    
+    /**
+     * Выдать новые пары из всей темы
+     * Сначала берутся пары, выдававшиеся реже всего, - так игра
+     * проходит тему по кругу, а не крутит одни и те же пары
+     * @param {number} count - Сколько пар нужно
+     * @param {Set} excludeIds - pairId, уже находящиеся в игре
+     * @param {Array} inPlayPairs - Они же в формате selectCardsForGame (см. getPairsInPlay)
+     * @returns {Array} Пары в формате selectCardsForGame
+     */
+    dealEndlessPairs(count, excludeIds, inPlayPairs = []) {
+        const selectedPairs = [];
+        const taken = new Set(excludeIds);
+        
+        while (selectedPairs.length < count) {
+            const candidates = this.endlessSource.filter(pair => !taken.has(pair.id));
+            if (candidates.length === 0) break;
+            
+            const minDealt = Math.min(...candidates.map(pair => this.endlessDealt[pair.id] || 0));
+            const leastDealt = candidates.filter(pair => (this.endlessDealt[pair.id] || 0) === minDealt);
+            const pair = leastDealt[Math.floor(this.nextRandom() * leastDealt.length)];
+            const right = this.pickEndlessVariant(pair);
+            
+            taken.add(pair.id);
+            
+            const dealt = {
+                leftText: pair.left,
+                leftId: pair.id,
+                rightText: right.text,
+                rightDescription: right.description,
+                rightDifficulty: right.difficulty,
+                rightAlsoMatches: right.alsoMatches || [],
+                rightVariants: pair.rights.map(variant => variant.text),
+                source: pair.source || null,
+                pairId: pair.id
+            };
+            
+            // Путается с парой в игре - в этот раз пропускаем
+            if (this.isAmbiguousWith(dealt, [...inPlayPairs, ...selectedPairs])) {
+                console.log(`♾️ "${dealt.leftText}" → "${dealt.rightText}" путается с парой в игре, пропускаем`);
+                continue;
+            }
+            
+            this.endlessDealt[pair.id] = minDealt + 1;
+            selectedPairs.push(dealt);
+        }
+        
+        return selectedPairs;
+    }
+    
+    /**
+     * Выбрать вариант правой карточки: сложность - по весам серии,
+     * внутри сложности - ещё не выданный вариант (по кругу)
+     */
+    pickEndlessVariant(pair) {
+        const weights = this.getEndlessWeights();
+        const tiers = [...new Set(pair.rights.map(right => right.difficulty))];
+        const totalWeight = tiers.reduce((sum, tier) => sum + (weights[tier] || 0), 0);
+        
+        let tier = tiers[Math.floor(this.nextRandom() * tiers.length)];
+        if (totalWeight > 0) {
+            let roll = this.nextRandom() * totalWeight;
+            tier = tiers.find(t => (roll -= weights[t] || 0) < 0) || tiers[tiers.length - 1];
+        }
+        
+        const tierRights = pair.rights.filter(right => right.difficulty === tier);
+        let used = this.endlessUsedVariants[pair.id] || [];
+        let available = tierRights.filter(right => !used.includes(right.text));
+        
+        // Все варианты этой сложности уже были - новый круг
+        if (available.length === 0) {
+            used = used.filter(text => !tierRights.some(right => right.text === text));
+            available = tierRights;
+        }
+        
+        const picked = available[Math.floor(this.nextRandom() * available.length)];
+        this.endlessUsedVariants[pair.id] = [...used, picked.text];
+        return picked;
+    }
+    
+    /**
+     * Веса сложностей вариантов: старт зависит от выбранной сложности,
+     * с ростом серии лёгкие варианты вытесняются сложными
+     * @returns {Object} { 1: вес, 2: вес, 3: вес }
+     */
+    getEndlessWeights() {
+        const start = (this.difficulty - 1) / 4;
+        const hardness = Math.min(1, start + this.correctAnswers / this.rules.endlessHardStreak);
+        
+        return {
+            1: 1.1 - hardness,
+            2: 0.5,
+            3: 0.1 + hardness
+        };
+    }
+    
+    /**
+     * Пополнить пулы, чтобы после замены на доске всегда было что выложить
+     */
+    refillEndlessPool() {
+        if (!this.isEndless()) return;
+        
+        const missing = this.rules.cardsOnBoard - this.poolCards.left.length;
+        if (missing <= 0) return;
+        
+        const inPlay = new Set(
+            this.cards
+                .filter(c => c.state === 'active' || c.state === 'pool')
+                .map(c => c.pairId)
+        );
+        
+        const newPairs = this.dealEndlessPairs(missing, inPlay, this.getPairsInPlay());
+        const newCards = [];
+        
+        newPairs.forEach(pair => {
+            newCards.push(...this.createPairCards(pair, this.dealtPairsCount++));
+        });
+        
+        this.cards.push(...newCards);
+        this.poolCards.left.push(...this.shuffle(newCards.filter(c => c.side === 'left')));
+        this.poolCards.right.push(...this.shuffle(newCards.filter(c => c.side === 'right')));
+        
+        console.log(`♾️ Пул пополнен: +${newPairs.length} пар (выдано всего ${this.dealtPairsCount})`);
+    }
+    
+    // ═══════════════════════════════════════════════════════════
+    // АДАПТИВНАЯ СЛОЖНОСТЬ (ADAPTIVE)
+    // ═══════════════════════════════════════════════════════════
+    
+    isAdaptive() {
+        return this.mode === 'adaptive';
+    }
+    
+    /**
+     * Пересчитать уровень по последним попыткам:
+     * ошибка или низкая точность → проще,
+     * высокая точность и быстрые ответы → сложнее
+     */
+    updateAdaptiveLevel() {
+        if (!this.isAdaptive()) return;
+        
+        const recent = this.attempts.slice(-this.ADAPTIVE_WINDOW);
+        if (recent.length === 0) return;
+        
+        const last = recent[recent.length - 1];
+        const accuracy = recent.filter(a => a.isMatch).length / recent.length;
+        const reactions = recent
+            .filter(a => a.isMatch && a.reactionMs !== null)
+            .map(a => a.reactionMs);
+        const avgReaction = reactions.length > 0 ?
+            reactions.reduce((sum, ms) => sum + ms, 0) / reactions.length : Infinity;
+        
+        const before = this.adaptiveLevel;
+        
+        if (!last.isMatch || accuracy < this.ADAPTIVE_STRUGGLE_ACCURACY) {
+            this.adaptiveLevel = Math.max(1, this.adaptiveLevel - 1);
+        } else if (recent.length >= this.ADAPTIVE_MIN_ATTEMPTS &&
+                   accuracy >= this.ADAPTIVE_STREAK_ACCURACY &&
+                   avgReaction <= this.ADAPTIVE_FAST_MS) {
+            this.adaptiveLevel = Math.min(3, this.adaptiveLevel + 1);
+        }
+        
+        if (this.adaptiveLevel !== before) {
+            console.log(`🧠 Адаптивная сложность: ${before} → ${this.adaptiveLevel} (точность ${Math.round(accuracy * 100)}%)`);
+        }
+    }
+    
+    /**
+     * Подменить вариант правой карточки, выходящей на доску,
+     * на вариант ближайшей к текущему уровню сложности
+     */
+    adaptRightCard(card) {
+        if (!this.isAdaptive() || !this.adaptiveVariants) return;
+        
+        // Только варианты с теми же alsoMatches - иначе карточка
+        // перестанет подходить к левой, ради которой её выложили
+        // и не неотличимые от других карточек в игре
+        const links = item => (item.alsoMatches || []).join(',');
+        const inPlay = this.getPairsInPlay();
+        const rights = (this.adaptiveVariants.get(card.pairId) || [])
+            .filter(right => links(right) === links(card))
+            .filter(right => right.text === card.text || !this.isAmbiguousWith({
+                pairId: card.pairId,
+                rightText: right.text,
+                rightAlsoMatches: right.alsoMatches || []
+            }, inPlay));
+        if (rights.length === 0) return;
+        
+        const distance = right => Math.abs(right.difficulty - this.adaptiveLevel);
+        const best = Math.min(...rights.map(distance));
+        const candidates = rights.filter(right => distance(right) === best);
+        
+        // Текущий вариант подходит - не трогаем
+        if (candidates.some(right => right.text === card.text)) return;
+        
+        const right = candidates[Math.floor(this.nextRandom() * candidates.length)];
+        card.text = right.text;
+        card.description = right.description;
+        card.difficulty = right.difficulty;
+    }
+    
+    // ═══════════════════════════════════════════════════════════
+    // ДОСКА: колонки и режимы со своей моделью (ChainModel, MemoryModel)
+    // ═══════════════════════════════════════════════════════════
+    
+    /**
+     * Цепочка - отдельная модель (ChainModel), у доски три колонки
+     */
+    isChain() {
+        return this.mode === 'chain';
+    }
+    
+    /**
+     * Memory - отдельная модель (MemoryModel), карточки рубашкой вверх
+     */
+    isMemory() {
+        return this.mode === 'memory';
+    }
+    
+    /**
+     * Колонки доски слева направо
+     * (в recall на доске только левые - ответ вводится с клавиатуры)
+     */
+    getSides() {
+        return this.isRecall() ? ['left'] : ['left', 'right'];
+    }
+    
+    /**
+     * { left, middle, right } по функции колонки (вне цепочки middle пустая)
+     */
+    mapSides(fn) {
+        return { left: fn('left'), middle: fn('middle'), right: fn('right') };
+    }
+    
+    /**
+     * Состояние карточки, которая выкладывается на доску
+     */
+    getDealtState() {
+        return 'active';
+    }
+    
+    // ═══════════════════════════════════════════════════════════
+    // RECALL: ответ вводится с клавиатуры
+    // ═══════════════════════════════════════════════════════════
+    
+    isRecall() {
+        return this.mode === 'recall';
+    }
+    
+    /**
+     * Перетаскивание и выбор пары кликами (в memory, recall и quiz - свои способы хода)
+     */
+    usesDragDrop() {
+        return !this.isMemory() && !this.isRecall() && !this.isQuiz();
+    }
+    
+    /**
+     * Подсказки по доске (в memory выдали бы закрытые карточки,
+     * в recall правых карточек на доске нет)
+     */
+    hasHints() {
+        return this.usesDragDrop();
+    }
+    
+    /**
+     * Проверить введённый ответ к левой карточке
+     * Засчитывается любой вариант rights пары (TextMatching: регистр, ё/е, опечатки)
+     * Результат совместим с checkMatch - дальше applyMatch / applyMismatch
+     * @returns {Object} { success, isMatch, blocked, card1, card2, pairId, description, answer }
+     *   answer - { text, matchedText, exact, distance } для журнала ходов
+     */
+    checkAnswer(leftCardId, input) {
+        const left = this.boardCards.left.find(c => c.id === leftCardId);
+        
+        if (!left) {
+            console.error('❌ Карточка не найдена:', leftCardId);
+            return { success: false, error: 'NOT_FOUND' };
+        }
+        
+        if (left.state !== 'active') {
+            console.warn('⚠️ Карточка не активна');
+            return { success: false, error: 'NOT_ACTIVE' };
+        }
+        
+        if (!TextMatching.normalize(input)) {
+            console.warn('⚠️ Пустой ответ');
+            return { success: false, error: 'EMPTY_ANSWER' };
+        }
+        
+        const right = this.findDealtCard(left, 'right');
+        const grade = TextMatching.grade(input, left.answers || [right.text]);
+        
+        if (grade.isMatch) {
+            console.log(`✅ Ответ засчитан: "${input}" ≈ "${grade.matchedText}" (опечаток: ${grade.distance})`);
+        } else {
+            console.log(`❌ Неверный ответ: "${input}" для "${left.text}"`);
+        }
+        
+        return {
+            success: true,
+            isMatch: grade.isMatch,
+            blocked: false,
+            card1: left,
+            card2: right,
+            pairId: left.pairId,
+            description: right.description,
+            answer: {
+                text: input.trim(),
+                matchedText: grade.isMatch ? grade.matchedText : null,
+                exact: grade.exact,
+                distance: grade.distance
+            }
+        };
+    }
+    
+    /**
+     * Ответы партии recall: что спросили, что ввели, засчитано ли
+     * (correctText - выданный вариант, matchedText - вариант, с которым совпал ответ)
+     */
+    getRecallAnswers() {
+        return this.attempts
+            .filter(attempt => attempt.answer)
+            .map(attempt => ({
+                pairId: attempt.pairId,
+                prompt: attempt.leftText,
+                answer: attempt.chosenText,
+                correctText: attempt.correctText,
+                matchedText: attempt.answer.matchedText,
+                isCorrect: attempt.isMatch,
+                exact: attempt.answer.exact
+            }));
+    }
+    
+    /**
+     * Викторина - отдельная модель (QuizModel), доски у неё нет
+     */
+    isQuiz() {
+        return this.mode === 'quiz';
+    }
+    
+    /**
+     * Обратное направление: вопрос - правый вариант, ответ - левая карточка
+     * Модель та же (стороны карточек не меняются), колонки меняет GameView,
+     * а подсказка строится от правой карточки
+     */
+    isReverse() {
+        return this.mode === 'reverse';
+    }
+    
+    // ═══════════════════════════════════════════════════════════
+    // ИНИЦИАЛИЗАЦИЯ КАРТОЧЕК
+    // ═══════════════════════════════════════════════════════════
+    
+    /**
+     * Инициализация карточек с умным подбором по сложности
+     * @param {Array} pairs - Массив пар с множественными правыми карточками
+     * @param {Object} distribution - Распределение: { easy: N, medium: N, hard: N }
+     */
+    initializeCards(pairs, distribution) {
+        console.log(`🎴 Инициализация: ${pairs.length} пар источника`);
+        console.log(`📊 Распределение:`, distribution);
+        
+        // 1. УМНЫЙ ПОДБОР: выбираем пары с учётом распределения
+        // (в бесконечном режиме - первая порция из всей темы)
+        const selectedPairs = this.isEndless() ?
+            this.startEndless(pairs) :
+            this.selectCardsForGame(pairs, distribution);
+        
+        if (selectedPairs.length === 0) {
+            throw new Error('Не удалось подобрать карточки для игры');
+        }
+        
+        this.totalPairs = this.isEndless() ? Infinity : selectedPairs.length;
+        this.dealtPairsCount = selectedPairs.length;
+        this.cards = [];
+        this.lives = this.hasLives() ? this.rules.livesStart : null;
+        
+        if (this.isAdaptive()) {
+            this.adaptiveLevel = this.difficulty;
+            this.adaptiveVariants = new Map(pairs.map(pair => [pair.id, pair.rights || []]));
+        }
+        
+        // 2. Создаём карточки из выбранных пар
+        selectedPairs.forEach((pair, index) => {
+            this.cards.push(...this.createPairCards(pair, index));
+        });
+        
+        // 3-4. Разделяем по колонкам и перемешиваем
+        this.getSides().forEach(side => {
+            this.poolCards[side] = this.shuffle(this.cards.filter(c => c.side === side));
+        });
+        
+        // 5. Гарантируем наличие совпадений на доске
+        this.ensureMatchOnBoard();
+        
+        // 6. Выкладываем на доску
+        this.getSides().forEach(side => {
+            this.boardCards[side] = this.poolCards[side].splice(0, this.rules.cardsOnBoard);
+        });
+        
+        // Помечаем как активные (в memory - рубашкой вверх)
+        this.getAllBoardCards().forEach(c => {
+            c.state = this.getDealtState();
+        });
+        
+        console.log(`✅ Создано ${this.cards.length} карточек (${this.totalPairs} пар)`);
+        console.log(`📊 На доске: ${this.boardCards.left.length} левых, ${this.boardCards.right.length} правых`);
+
+        if (!this.hasMatchOnBoard()) {
+            console.error('НЕТ СОВПАДЕНИЙ НА ДОСКЕ ПОСЛЕ ИНИЦИАЛИЗАЦИИ');
+            console.error('Левые pairIds:', this.boardCards.left.map(c => c.pairId));
+            console.error('Правые pairIds:', this.boardCards.right.map(c => c.pairId));
+        }
+    }
+    
+    /**
+     * Создать левую и правую карточки пары
+     * @param {Object} pair - Пара из selectCardsForGame / dealEndlessPairs
+     * @param {number} index - Порядковый номер выдачи (делает id уникальным)
+     */
+    createPairCards(pair, index) {
+        const cards = [
+            // Левая карточка
+            {
+                id: `card_left_${pair.pairId}_${index}`,
+                pairId: pair.pairId,
+                side: 'left',
+                text: pair.leftText,
+                state: 'pool',
+                position: index
+            },
+            // Правая карточка (уже выбранная по сложности)
+            {
+                id: `card_right_${pair.pairId}_${index}`,
+                pairId: pair.pairId,
+                side: 'right',
+                text: pair.rightText,
+                description: pair.rightDescription,
+                difficulty: pair.rightDifficulty,
+                // Другие пары, к левым карточкам которых подходит эта (см. cardsMatch)
+                alsoMatches: pair.rightAlsoMatches || [],
+                state: 'pool',
+                position: index
+            }
+        ];
+        
+        // Recall: левая карточка знает все правильные ответы пары
+        if (this.isRecall()) {
+            cards[0].answers = pair.rightVariants || [pair.rightText];
+        }
+        
+        // Микс тем: карточки знают, из какой они темы (значок на карточке)
+        if (pair.source) {
+            cards.forEach(card => {
+                card.source = pair.source;
+            });
+        }
+        
+        return cards;
+    }
+    
+    /**
+     * Умный подбор карточек с учётом распределения сложности
+     * @param {Array} pairs - Массив пар с множественными правыми карточками
+     * @param {Object} distribution - { easy: N, medium: N, hard: N }
+     * @returns {Array} Массив выбранных пар
+     */
+    selectCardsForGame(pairs, distribution) {
+        const { easy = 0, medium = 0, hard = 0 } = distribution;
+        const totalNeeded = easy + medium + hard;
+        
+        console.log(`🎯 Подбор карточек: легких ${easy}, средних ${medium}, сложных ${hard} (всего ${totalNeeded})`);
+        
+        // 1. Создаём пулы правых карточек по сложности
+        const rightCardPools = this.buildDifficultyPools(pairs);
+        
+        console.log(`📦 Пулы созданы:`, {
+            easy: rightCardPools[1].length,
+            medium: rightCardPools[2].length,
+            hard: rightCardPools[3].length
+        });
+        
+        // 2. Перемешиваем каждый пул
+        [1, 2, 3].forEach(diff => {
+            rightCardPools[diff] = this.shuffle(rightCardPools[diff]);
+        });
+        
+        // 2.1. Повторение: сначала пары, которые пора повторить
+        // (сортировка устойчивая - при равной срочности остаётся случайный порядок)
+        if (this.reviewPriorities) {
+            const priority = card => this.reviewPriorities[card.pairId] || 0;
+            [1, 2, 3].forEach(diff => {
+                rightCardPools[diff].sort((a, b) => priority(b) - priority(a));
+            });
+            console.log('📚 Пулы отсортированы по срочности повторения');
+        }
+        
+        // 3. ГЛАВНЫЙ АЛГОРИТМ: Подбор карточек
+        const selectedPairs = [];
+        const usedLeftIds = new Set();
+        
+        // Порядок важен: сначала сложные, потом средние, потом лёгкие
+        const pickingOrder = [
+            { difficulty: 3, count: hard },
+            { difficulty: 2, count: medium },
+            { difficulty: 1, count: easy }
+        ];
+        
+        // Взять до count пар из пула сложности diff, вернуть сколько взято
+        const pickFromPool = (diff, count) => {
+            let picked = 0;
+            const pool = rightCardPools[diff];
+            
+            for (let i = 0; i < pool.length && picked < count; i++) {
+                const candidate = pool[i];
+                
+                // Проверка: не использовали ли уже эту левую карточку?
+                if (usedLeftIds.has(candidate.pairId)) continue;
+                
+                // Неотличимые карточки (см. theme-ambiguity.js) в одну партию не кладём
+                if (this.isAmbiguousWith(candidate, selectedPairs)) {
+                    console.log(`  ⚠️ "${candidate.leftText}" → "${candidate.rightText}" путается с уже выбранной парой`);
+                    continue;
+                }
+                
+                // ✅ Берём эту пару
+                selectedPairs.push(candidate);
+                usedLeftIds.add(candidate.pairId);
+                picked++;
+                
+                console.log(`  ✓ "${candidate.leftText}" → "${candidate.rightText}"`);
+            }
+            
+            // 🗑️ КЛЮЧЕВОЙ МОМЕНТ: Удаляем ВСЕ правые карточки взятых левых из ВСЕХ пулов
+            [1, 2, 3].forEach(poolDiff => {
+                const before = rightCardPools[poolDiff].length;
+                rightCardPools[poolDiff] = rightCardPools[poolDiff].filter(
+                    card => !usedLeftIds.has(card.pairId)
+                );
+                const removed = before - rightCardPools[poolDiff].length;
+                if (removed > 0) {
+                    console.log(`    🗑️ Удалено ${removed} из пула сложности ${poolDiff}`);
+                }
+            });
+            
+            return picked;
+        };
+        
+        const shortage = {};
+        
+        pickingOrder.forEach(({ difficulty: diff, count }) => {
+            if (count === 0) return;
+            
+            console.log(`\n🔍 Выбираем ${count} карточек сложности ${diff}`);
+            
+            const picked = pickFromPool(diff, count);
+            
+            if (picked < count) {
+                console.warn(`⚠️ Не хватило карточек сложности ${diff}! Нужно ${count}, получено ${picked}`);
+                shortage[diff] = count - picked;
+            }
+        });
+        
+        // 3.1. Нехватку добираем соседними сложностями - общее число пар не меняется
+        pickingOrder.forEach(({ difficulty: diff }) => {
+            DifficultyDistribution.getFallbackOrder(diff).forEach(fallbackDiff => {
+                if (!shortage[diff]) return;
+                
+                const picked = pickFromPool(fallbackDiff, shortage[diff]);
+                if (picked > 0) {
+                    console.log(`🔁 Вместо сложности ${diff} взято ${picked} карточек сложности ${fallbackDiff}`);
+                    shortage[diff] -= picked;
+                }
+            });
+            
+            if (shortage[diff]) {
+                console.warn(`⚠️ В теме не хватило пар: партия короче на ${shortage[diff]}`);
+            }
+        });
+        
+        console.log(`\n✅ Итого выбрано: ${selectedPairs.length} пар`);
+        
+        // Проверка уникальности
+        const uniqueLefts = new Set(selectedPairs.map(p => p.pairId));
+        console.log(`✓ Уникальных левых карточек: ${uniqueLefts.size}`);
+        
+        return selectedPairs;
+    }
+    
+    /**
+     * Пулы правых вариантов по сложности (без перемешивания)
+     * @param {Array} pairs - Пары темы
+     * @returns {Object} { 1: [...], 2: [...], 3: [...] } - кандидаты в формате
+     *   selectCardsForGame: { pairId, leftText, rightText, rightDifficulty, ... }
+     */
+    buildDifficultyPools(pairs) {
+        const rightCardPools = { 1: [], 2: [], 3: [] };
+        
+        pairs.forEach(pair => {
+            if (!pair.rights || !Array.isArray(pair.rights)) {
+                console.warn(`⚠️ Пара ${pair.id} не имеет массива rights`);
+                return;
+            }
+            
+            pair.rights.forEach(right => {
+                rightCardPools[right.difficulty].push({
+                    leftText: pair.left,
+                    leftId: pair.id,
+                    middleText: pair.middle || null,
+                    rightText: right.text,
+                    rightDescription: right.description,
+                    rightDifficulty: right.difficulty,
+                    rightAlsoMatches: right.alsoMatches || [],
+                    rightVariants: pair.rights.map(variant => variant.text),
+                    source: pair.source || null,
+                    pairId: pair.id
+                });
+            });
+        });
+        
+        return rightCardPools;
+    }
+    
+    /**
+     * Путается ли пара с какой-то из пар (см. ThemeAmbiguity.conflicts)
+     * @param {Object} pair - Пара в формате selectCardsForGame
+     * @param {Array} pairs - Пары в том же формате
+     */
+    isAmbiguousWith(pair, pairs) {
+        return pairs.some(other => ThemeAmbiguity.conflicts(pair, other));
+    }
+    
+    /**
+     * Пары на доске и в пуле - в формате selectCardsForGame
+     * (только поля, которые сравнивает ThemeAmbiguity.conflicts)
+     */
+    getPairsInPlay() {
+        const inPlay = this.cards.filter(c => c.state === 'active' || c.state === 'facedown' || c.state === 'pool');
+        
+        return inPlay.filter(c => c.side === 'left').map(left => {
+            const right = inPlay.find(c => c.side === 'right' && c.pairId === left.pairId);
+            const middle = inPlay.find(c => c.side === 'middle' && c.pairId === left.pairId);
+            
+            return {
+                pairId: left.pairId,
+                leftText: left.text,
+                middleText: middle ? middle.text : null,
+                rightText: right ? right.text : null,
+                rightAlsoMatches: right ? right.alsoMatches : []
+            };
+        });
+    }
+    
+    /**
+     * Гарантировать наличие совпадения на доске
+     * Упрощённая версия - перемешиваем правую сторону до появления совпадения
+     */
+    ensureMatchOnBoard() {
+        // Recall: отвечать можно на любую левую карточку
+        if (this.isRecall()) return;
+        
+        let hasMatch = false;
+        let attempts = 0;
+        const maxAttempts = 100;
+        
+        while (!hasMatch && attempts < maxAttempts) {
+            const first = side => this.poolCards[side].slice(0, this.rules.cardsOnBoard);
+            
+            hasMatch = this.hasMatchAmong(first('left'), first('middle'), first('right'));
+            
+            if (!hasMatch) {
+                this.getReshuffleSides().forEach(side => {
+                    this.poolCards[side] = this.shuffle(this.poolCards[side]);
+                });
+                attempts++;
+            }
+        }
+        
+        if (attempts > 0) {
+            console.log(`🔄 Перемешано ${attempts} раз для гарантии совпадений`);
+        }
+        
+        if (!hasMatch) {
+            console.warn('⚠️ Не удалось гарантировать совпадение на доске за 100 попыток');
+        }
+    }
+    
+    /**
+     * Колонки пула, которые перемешиваются, пока на первой доске нет хода
+     */
+    getReshuffleSides() {
+        return ['right'];
+    }
+    
+    /**
+     * Есть ли среди карточек колонок засчитываемый ход
+     * (middle нужна только цепочке - см. ChainModel)
+     */
+    hasMatchAmong(left, middle, right) {
+        return this.checkAnyMatchExists(left, right);
+    }
+    
+    /**
+     * Получить все карточки на доске
+     */
+    getAllBoardCards() {
+        return this.getSides().flatMap(side => this.boardCards[side]);
+    }
+    
+    /**
+     * Можно ли сделать хоть один засчитываемый ход (в цепочке - собрать цепочку)
+     */
+    hasMatchOnBoard() {
+        const { left, middle, right } = this.boardCards;
+        
+        if (this.isRecall()) {
+            return left.some(c => c.state === 'active');
+        }
+        
+        return this.hasMatchAmong(left, middle, right);
+    }
+    
+    // ═══════════════════════════════════════════════════════════
+    // ПРОВЕРКА СОВПАДЕНИЙ (ЧИСТАЯ ЛОГИКА)
+    // ═══════════════════════════════════════════════════════════
+    
+    /**
+     * Проверить совпадение двух карточек
+     * ЧИСТАЯ ФУНКЦИЯ - работает только с моделью
+     */
+    checkMatch(cardId1, cardId2) {
+        // Находим в модели
+        const card1 = this.cards.find(c => c.id === cardId1);
+        const card2 = this.cards.find(c => c.id === cardId2);
+        
+        // Валидация
+        if (!card1 || !card2) {
+            console.error('❌ Карточка не найдена:', cardId1, cardId2);
+            return { success: false, error: 'NOT_FOUND' };
+        }
+        
+        if (card1.state !== 'active' || card2.state !== 'active') {
+            console.warn('⚠️ Карточка не активна');
+            return { success: false, error: 'NOT_ACTIVE' };
+        }
         
         if (card1.side === card2.side) {
             console.warn('⚠️ Карточки с одной стороны');
             return { success: false, error: 'SAME_SIDE' };
         }
         
-        // ПРОВЕРКА СОВПАДЕНИЯ (на модели!)
-        const isMatch = card1.pairId === card2.pairId;
+        // Ограничения режима (в цепочке - только соседние колонки)
+        const moveError = this.getMoveError(card1, card2);
+        if (moveError) {
+            return { success: false, error: moveError };
+        }
         
-        if (isMatch) {
-            console.log(`✅ СОВПАДЕНИЕ! Пара ${card1.pairId}`);
+        // ПРОВЕРКА СОВПАДЕНИЯ (на модели!)
+        const isMatch = this.cardsMatch(card1, card2);
+        // Верно, но тогда оставшиеся карточки не разобрать - ход не засчитывается
+        const blocked = isMatch && this.isMatchBlocked(card1, card2);
+        const leftCard = this.getSubjectCard(card1, card2);
+        
+        if (blocked) {
+            console.log(`🔒 Совпадение верное, но блокирует партию: ${card1.pairId} ↔ ${card2.pairId}`);
+        } else if (isMatch) {
+            console.log(`✅ СОВПАДЕНИЕ! Пара ${leftCard.pairId}`);
         } else {
             console.log(`❌ НЕ совпадение: ${card1.pairId} ≠ ${card2.pairId}`);
         }
@@ -397,184 +1203,488 @@ class GameModel {
         return {
             success: true,
             isMatch,
+            blocked,
             card1,
             card2,
-            pairId: card1.pairId,
+            pairId: leftCard.pairId,
             description: card2.side === 'right' ? card2.description : card1.description
         };
     }
     
     /**
-     * Применить успешное совпадение
+     * Код ошибки, если ход по правилам режима невозможен (иначе null)
+     */
+    getMoveError(card1, card2) {
+        return null;
+    }
+    
+    /**
+     * Применить успешное совпадение
+     * @param {Object|null} answer - Введённый ответ (recall, см. checkAnswer)
+     */
+    applyMatch(cardId1, cardId2, answer = null) {
+        const card1 = this.cards.find(c => c.id === cardId1);
+        const card2 = this.cards.find(c => c.id === cardId2);
+        
+        if (!card1 || !card2) return false;
+        
+        // Помечаем как найденные
+        card1.state = 'matched';
+        card2.state = 'matched';
+        
+        this.recordAttempt(card1, card2, true, answer);
+        this.updateAdaptiveLevel();
+        
+        const [leftCard, rightCard] = card1.side === 'left' ? [card1, card2] : [card2, card1];
+        const attemptPenalty = this.getMatchPenalty(leftCard, rightCard);
+        
+        // НЕ удаляем с доски - они будут заменены новыми карточками
+        // Или удалены если пул пуст
+        
+        
+        // Обновляем счётчики
+        this.correctAnswers++;
+        this.matchedPairsCount++;
+        this.combo++;
+        this.maxCombo = Math.max(this.maxCombo, this.combo);
+        
+        this.scoreMatch(rightCard, attemptPenalty);
+        
+        return true;
+    }
+    
+    /**
+     * Сколько базовых очков пары снять при совпадении (в memory - за лишние ходы)
+     */
+    getMatchPenalty(leftCard, rightCard) {
+        return 0;
+    }
+    
+    /**
+     * Начислить очки за найденную пару (combo уже увеличено)
+     * @param {Object} rightCard - Правая карточка пары (её сложность даёт множитель)
+     * @param {number} attemptPenalty - Снято с базовых очков (см. getMatchPenalty)
+     */
+    scoreMatch(rightCard, attemptPenalty = 0) {
+        // Очки (за вычетом штрафа режима)
+        const baseScore = this.rules.scoreCorrect;
+        const earnedBase = baseScore - attemptPenalty;
+        // Бонус комбо начинается с comboThreshold совпадений подряд
+        const { comboThreshold } = this.rules;
+        const comboBonus = this.combo >= comboThreshold ?
+            (this.combo - comboThreshold + 1) * this.rules.comboBonus : 0;
+        // Сложный вариант - больше очков
+        const multiplier = this.rules.difficultyMultiplier[rightCard.difficulty] || 1;
+        const difficultyBonus = Math.round(earnedBase * (multiplier - 1));
+        // Быстрый ответ - бонус, затухающий со временем
+        const lastAttempt = this.attempts[this.attempts.length - 1];
+        const speedBonus = this.getSpeedBonus(lastAttempt ? lastAttempt.reactionMs : null);
+        
+        const points = earnedBase + comboBonus + difficultyBonus + speedBonus;
+        this.score += points;
+        
+        this.scoreBreakdown.base += baseScore;
+        this.scoreBreakdown.combo += comboBonus;
+        this.scoreBreakdown.difficulty += difficultyBonus;
+        this.scoreBreakdown.speed += speedBonus;
+        this.scoreBreakdown.penalties += attemptPenalty;
+        
+        // Бонус времени
+        if (this.isTimed()) {
+            this.timeRemaining += this.rules.timeBonusCorrect;
+        }
+        
+        console.log(`📊 Очки: +${points} (база ${baseScore}, комбо ${comboBonus}, сложность ${difficultyBonus}, скорость ${speedBonus}), combo: ${this.combo}, найдено: ${this.matchedPairsCount}/${this.totalPairs}`);
+    }
+    
+    /**
+     * Применить ошибку
+     * @param {Object|null} answer - Введённый ответ (recall, см. checkAnswer)
      */
-    applyMatch(cardId1, cardId2) {
+    applyMismatch(cardId1, cardId2, answer = null) {
         const card1 = this.cards.find(c => c.id === cardId1);
         const card2 = this.cards.find(c => c.id === cardId2);
         
-        if (!card1 || !card2) return false;
+        if (card1 && card2) {
+            this.recordMismatch(card1, card2, answer);
+        }
         
-        // Помечаем как найденные
-        card1.state = 'matched';
-        card2.state = 'matched';
+        this.incorrectAnswers++;
+        this.deductScore(-this.rules.scoreIncorrect);
+        this.combo = 0;
         
-        // НЕ удаляем с доски - они будут заменены новыми карточками
-        // Или удалены если пул пуст
+        // Штраф времени
+        if (this.isTimed()) {
+            this.timeRemaining = Math.max(0, this.timeRemaining - this.rules.timePenaltyIncorrect);
+        }
         
+        // Минус жизнь
+        if (this.hasLives()) {
+            this.lives = Math.max(0, this.lives - 1);
+            console.log(`💔 Осталось жизней: ${this.lives}`);
+        }
         
-        // Обновляем счётчики
-        this.correctAnswers++;
-        this.matchedPairsCount++;
-        this.combo++;
-        this.maxCombo = Math.max(this.maxCombo, this.combo);
+        console.log(`📊 Ошибка: ${this.rules.scoreIncorrect} очков, combo сброшено`);
+    }
+    
+    /**
+     * Учесть промах в журнале ходов (memory пишет его по-своему)
+     */
+    recordMismatch(card1, card2, answer) {
+        this.recordAttempt(card1, card2, false, answer);
+        this.updateAdaptiveLevel();
+    }
+    
+    createScoreBreakdown() {
+        return { base: 0, combo: 0, speed: 0, difficulty: 0, penalties: 0 };
+    }
+    
+    /**
+     * Бонус за скорость: SPEED_BONUS_MAX при мгновенном ответе,
+     * экспоненциально затухает с временем раздумий
+     */
+    getSpeedBonus(reactionMs) {
+        if (reactionMs === null || reactionMs === undefined) return 0;
         
-        // Очки
-        const baseScore = this.SCORE_CORRECT;
-        // Бонус комбо начинается с 5 совпадений
-        const comboBonus = this.combo >= 5 ? (this.combo - 4) * this.COMBO_BONUS : 0;
-        this.score += baseScore + comboBonus;
+        return Math.floor(this.rules.speedBonusMax * Math.exp(-Math.max(0, reactionMs) / this.rules.speedBonusDecayMs));
+    }
+    
+    /**
+     * Списать очки (не ниже нуля), учесть в разбивке
+     * @returns {number} Сколько реально списано
+     */
+    deductScore(points) {
+        const deducted = Math.min(this.score, points);
+        this.score -= deducted;
+        this.scoreBreakdown.penalties += deducted;
+        return deducted;
+    }
+    
+    /**
+     * Время реакции на совпадениях: среднее и медиана (мс)
+     * @returns {Object} { average, median } - null если совпадений не было
+     */
+    getReactionStats() {
+        const times = this.attempts
+            .filter(a => a.isMatch && a.reactionMs !== null)
+            .map(a => a.reactionMs)
+            .sort((a, b) => a - b);
+        
+        if (times.length === 0) {
+            return { average: null, median: null };
+        }
         
-        console.log(`📊 Очки: +${baseScore + comboBonus}, combo: ${this.combo}, найдено: ${this.matchedPairsCount}/${this.totalPairs}`);
+        const middle = Math.floor(times.length / 2);
+        const median = times.length % 2 === 0 ?
+            (times[middle - 1] + times[middle]) / 2 : times[middle];
+        const average = times.reduce((sum, ms) => sum + ms, 0) / times.length;
         
-        return true;
+        return { average: Math.round(average), median: Math.round(median) };
     }
     
     /**
-     * Применить ошибку
+     * Начать отсчёт времени реакции (доска снова доступна игроку)
      */
-    applyMismatch() {
-        this.incorrectAnswers++;
-        this.score = Math.max(0, this.score + this.SCORE_INCORRECT);
-        this.combo = 0;
+    startTurn(now = Date.now()) {
+        this.turnStartedAt = now;
+    }
+    
+    /**
+     * Карточка, к которой подбирают пару: левая,
+     * а в звене средняя → правая цепочки - средняя
+     */
+    getSubjectCard(card1, card2) {
+        return CARD_SIDES.indexOf(card1.side) < CARD_SIDES.indexOf(card2.side) ? card1 : card2;
+    }
+    
+    /**
+     * Записать попытку в журнал ходов
+     * Верный ответ - карточка пары из выбранной колонки, выданная в этой партии
+     * @param {Object|null} answer - Введённый ответ (recall): выбранным считается он
+     */
+    recordAttempt(card1, card2, isMatch, answer = null, now = Date.now()) {
+        const left = this.getSubjectCard(card1, card2);
+        const chosen = left === card1 ? card2 : card1;
+        const correct = isMatch ? chosen : this.findDealtCard(left, chosen.side);
+        
+        this.attempts.push({
+            pairId: left.pairId,
+            leftText: left.text,
+            chosenText: answer ? answer.text : chosen.text,
+            correctText: correct ? correct.text : null,
+            description: correct ? correct.description : null,
+            difficulty: correct ? correct.difficulty : null,
+            isMatch,
+            reactionMs: this.turnStartedAt !== null ? now - this.turnStartedAt : null,
+            answer
+        });
+    }
+    
+    /**
+     * Карточка той же пары из колонки side
+     * (в бесконечном режиме пара выдаётся не раз - берём выданную вместе с ней)
+     */
+    findDealtCard(card, side = 'right') {
+        const dealtId = card.id.replace(/^card_(left|middle|right)_/, `card_${side}_`);
+        return this.cards.find(c => c.id === dealtId) ||
+            this.cards.find(c => c.side === side && c.pairId === card.pairId);
+    }
+    
+    /**
+     * Итоги партии по парам для интервального повторения
+     * @returns {Array} [{ pairId, variant, attempts, misses }] - по одной записи
+     *   на каждый выданный вариант пары
+     */
+    getPairResults() {
+        const results = new Map();
         
-        console.log(`📊 Ошибка: ${this.SCORE_INCORRECT} очков, combo сброшено`);
+        this.attempts.forEach(attempt => {
+            const key = `${attempt.pairId}|${attempt.correctText}`;
+            
+            if (!results.has(key)) {
+                results.set(key, {
+                    pairId: attempt.pairId,
+                    variant: attempt.correctText,
+                    attempts: 0,
+                    misses: 0
+                });
+            }
+            
+            const result = results.get(key);
+            result.attempts++;
+            if (!attempt.isMatch) result.misses++;
+        });
+        
+        return [...results.values()];
+    }
+    
+    /**
+     * Ошибочные попытки партии
+     */
+    getMistakes() {
+        return this.attempts.filter(attempt => !attempt.isMatch);
     }
     
     /**
      * Получить замену для совпавших карточек
      * Возвращает объект с информацией о замене или удалении
+     * @param {...string} cardIds - Найденные карточки (в цепочке - все три)
      */
-    getReplacements(cardId1, cardId2) {
+    getReplacements(...cardIds) {
         const replacements = [];
         
+        // Бесконечный режим: сначала доливаем пул из всей темы
+        this.refillEndlessPool();
+        
         // Определяем какая карточка с какой стороны
-        const card1 = this.cards.find(c => c.id === cardId1);
-        const card2 = this.cards.find(c => c.id === cardId2);
+        const cards = cardIds.map(id => this.cards.find(c => c.id === id));
         
-        if (!card1 || !card2) return replacements;
+        if (cards.some(c => !c)) return replacements;
         
-        // Для левой карточки
-        if (card1.side === 'left' || card2.side === 'left') {
-            const oldCardId = card1.side === 'left' ? cardId1 : cardId2;
-            
-            if (this.poolCards.left.length > 0) {
-                // Есть замена - берём новую карточку
-                const newCard = this.poolCards.left.shift();
-                newCard.state = 'active';
-                
-                // Заменяем в boardCards массиве
-                const index = this.boardCards.left.findIndex(c => c.id === oldCardId);
-                if (index >= 0) {
-                    this.boardCards.left[index] = newCard;
-                }
-                
-                replacements.push({
-                    action: 'replace',
-                    oldCardId: oldCardId,
-                    newCard: newCard
-                });
-            } else {
-                // Нет замены - нужно удалить
-                this.boardCards.left = this.boardCards.left.filter(c => c.id !== oldCardId);
-                
-                replacements.push({
-                    action: 'remove',
-                    oldCardId: oldCardId
-                });
+        // Колонки слева направо: гарантия совпадения для правой
+        // проверяется по уже заменённым левым
+        this.getSides().forEach(side => {
+            const card = cards.find(c => c.side === side);
+            if (card) {
+                replacements.push(this.replaceBoardCard(side, card.id));
             }
+        });
+        
+        console.log(`🔄 Подготовлено замен: ${replacements.length}`);
+        console.log('Замены:', replacements.map(r => ({
+            action: r.action,
+            oldCardId: r.oldCardId,
+            newCard: r.newCard ? `${r.newCard.id} (pairId: ${r.newCard.pairId})` : 'нет'
+        })));
+        console.log('Финальная проверка доски:');
+        this.getSides().forEach(side => {
+            console.log(`pairIds на доске (${side}):`, this.boardCards[side].map(c => c.pairId));
+        });
+        if (this.boardCards.left.length > 0 && !this.hasMatchOnBoard()) {
+            console.error('КРИТИЧЕСКАЯ ОШИБКА: НЕТ СОВПАДЕНИЙ ПОСЛЕ getReplacements()!');
+            this.getSides().forEach(side => {
+                console.error(`boardCards.${side}:`, this.boardCards[side].map(c => ({id: c.id, pairId: c.pairId})));
+            });
+        }
+        
+        return replacements;
+    }
+    
+    /**
+     * Заменить карточку колонки на карточку из пула (или убрать, если пул пуст)
+     * Левая колонка - первая из пула. Для остальных: если без новой карточки
+     * на доске не останется хода, берём ту, что его создаёт
+     * @returns {Object} { action: 'replace'|'remove', oldCardId, newCard? }
+     */
+    replaceBoardCard(side, oldCardId) {
+        const pool = this.poolCards[side];
+        
+        if (pool.length === 0) {
+            // Нет замены - нужно удалить
+            this.boardCards[side] = this.boardCards[side].filter(c => c.id !== oldCardId);
+            return { action: 'remove', oldCardId };
         }
         
-        // Для правой карточки
-        if (card1.side === 'right' || card2.side === 'right') {
-            const oldCardId = card1.side === 'right' ? cardId1 : cardId2;
+        let newCard = null;
+        
+        if (side !== 'left') {
+            // Проверяем, останутся ли совпадения после замены
+            const board = this.mapSides(s => this.boardCards[s].filter(c => c.id !== oldCardId));
+            const { findCard, hasMatchWithoutNew } = this.getReplacementCheck(side, board);
             
-            if (this.poolCards.right.length > 0) {
-                // Проверяем, останутся ли совпадения после замены
-                const tempBoardRight = this.boardCards.right.filter(c => c.id !== oldCardId);
-                const hasMatchWithoutNew = this.checkAnyMatchExists(this.boardCards.left, tempBoardRight);
-
-                console.log('Проверяем наличие совпадений на доске БЕЗ новой карточки...');
-                console.log('Результат проверки hasMatchWithoutNew:', hasMatchWithoutNew);
-                console.log('boardCards.left pairIds:', this.boardCards.left.map(c => c.pairId));
-                console.log('tempBoardRight pairIds:', tempBoardRight.map(c => c.pairId));
-
-
-                
-                let newCard;
+            console.log(`Проверяем наличие совпадений на доске БЕЗ новой карточки (${side}):`, hasMatchWithoutNew);
+            
+            if (!hasMatchWithoutNew) {
+                // Нет совпадений без новой карточки - нужно гарантировать совпадение
+                console.log('⚠️ Нет совпадений на доске, ищем карточку с гарантией совпадения');
+                newCard = findCard(pool);
                 
-                if (!hasMatchWithoutNew) {
-                    // Нет совпадений без новой карточки - нужно гарантировать совпадение
-                    console.log('⚠️ Нет совпадений на доске, ищем карточку с гарантией совпадения');
-                    newCard = this.findMatchingCard(this.poolCards.right, this.boardCards.left);
-                    
-                    if (!newCard) {
-                        // Если не нашли совпадающую, берём первую (край редкий случай)
-                        console.warn('⚠️ Не найдено совпадающей карточки в пуле, берём первую');
-                        newCard = this.poolCards.right.shift();
-                    } else {
-                        // Удаляем найденную карточку из пула
-                        this.poolCards.right = this.poolCards.right.filter(c => c.id !== newCard.id);
-                        console.log(`✓ Найдена совпадающая карточка: ${newCard.id} (pairId: ${newCard.pairId})`);
-                    }
+                if (newCard) {
+                    console.log(`✓ Найдена совпадающая карточка: ${newCard.id} (pairId: ${newCard.pairId})`);
                 } else {
-                    // Есть другие совпадения, берём первую карточку из пула
-                    newCard = this.poolCards.right.shift();
-                }
-                
-                newCard.state = 'active';
-                
-                // Заменяем в boardCards массиве
-                const index = this.boardCards.right.findIndex(c => c.id === oldCardId);
-                if (index >= 0) {
-                    this.boardCards.right[index] = newCard;
+                    // Если не нашли совпадающую, берём первую (край редкий случай)
+                    console.warn('⚠️ Не найдено совпадающей карточки в пуле, берём первую');
                 }
-                
-                replacements.push({
-                    action: 'replace',
-                    oldCardId: oldCardId,
-                    newCard: newCard
-                });
-            } else {
-                // Нет замены - нужно удалить
-                this.boardCards.right = this.boardCards.right.filter(c => c.id !== oldCardId);
-                
-                replacements.push({
-                    action: 'remove',
-                    oldCardId: oldCardId
-                });
             }
         }
         
-        console.log(`🔄 Подготовлено замен: ${replacements.length}`);
-        console.log('Замены:', replacements.map(r => ({
-            action: r.action,
-            oldCardId: r.oldCardId,
-            newCard: r.newCard ? '${r.newCard.id} (pairId: ${r.newCard.pairId})' : 'нет'
-        })));
-        console.log('Финальная проверка доски:');
-        const leftPairIds = new Set(this.boardCards.left.map(c => c.pairId));
-        const rightPairIds = new Set(this.boardCards.right.map(c => c.pairId));
-        const matches = [...leftPairIds].filter(id => rightPairIds.has(id));
-        console.log('Левые pairIds на доске:', Array.from(leftPairIds));
-        console.log('Правые pairIds на доске:', Array.from(rightPairIds));
-        if (matches === 0) {
-            console.error('КРИТИЧЕСКАЯ ОШИБКА: НЕТ СОВПАДЕНИЙ ПОСЛЕ getReplacements()!');
-            console.error('boardCards.left:', this.boardCards.left.map(c => ({id: c.id, pairId: c.pairId})));
-            console.error('boardCards.right:', this.boardCards.right.map(c => ({id: c.id, pairId: c.pairId})));
+        // Есть другие совпадения (или это левая колонка) - берём первую карточку из пула
+        newCard = newCard || pool[0];
+        this.poolCards[side] = pool.filter(c => c.id !== newCard.id);
+        newCard.state = this.getDealtState();
+        
+        // Адаптивный режим: вариант под текущий уровень игрока
+        if (side === 'right') {
+            this.adaptRightCard(newCard);
+        }
+        
+        // Заменяем в boardCards массиве
+        const index = this.boardCards[side].findIndex(c => c.id === oldCardId);
+        if (index >= 0) {
+            this.boardCards[side][index] = newCard;
+        }
+        
+        return { action: 'replace', oldCardId, newCard };
+    }
+    
+    /**
+     * Что нужно от новой карточки колонки side, чтобы на доске был ход
+     * @param {Object} board - Доска без заменяемой карточки
+     * @returns {Object} { hasMatchWithoutNew, findCard(pool) → карточка или null }
+     */
+    getReplacementCheck(side, board) {
+        return {
+            hasMatchWithoutNew: this.checkAnyMatchExists(board.left, board.right),
+            findCard: pool => this.findMatchingCard(pool, board.left)
+        };
+    }
+    
+    // ═══════════════════════════════════════════════════════════
+    // ПОДСКАЗКИ
+    // ═══════════════════════════════════════════════════════════
+    
+    /**
+     * Взять подсказку (только между ходами)
+     * Уровни для одной и той же пары:
+     * 1 - подсвечена левая карточка
+     * 2 - справа остаются два кандидата (верный + один лишний)
+     * 3 - пара показана целиком
+     * Подсказка стоит очков (HINT_COST) и сбрасывает комбо
+     * В цепочке и в обратном направлении "левая" - карточка, от которой
+     * строится подсказка, "правые" - соседняя колонка
+     * @returns {Object|null} { tier, pairId, leftCardId, rightCardIds, targetSide, cost }
+     */
+    useHint() {
+        if (!this.canInteract() || !this.hasHints()) return null;
+        
+        const activeLeft = this.getHintSources();
+        
+        const findRight = left => this.findHintRight(left, this.getHintTargets(left));
+        
+        // Прежняя цель ещё на доске - усиливаем подсказку
+        let left = this.hint ? activeLeft.find(c => c.pairId === this.hint.pairId) : null;
+        let tier = 1;
+        let repeated = false;
+        
+        if (left && findRight(left)) {
+            // Пара уже показана целиком - повтор бесплатный
+            repeated = this.hint.tier === 3;
+            tier = Math.min(3, this.hint.tier + 1);
         } else {
-            console.log(`Совпадений на доске: ${matches.length}`, matches);
+            // Новая цель - первая пара на доске, у которой есть совпадение
+            // (без генератора, чтобы подсказки не меняли дальнейшую раздачу)
+            left = activeLeft.find(c => findRight(c));
+            if (!left) {
+                console.warn('⚠️ Для подсказки нет совпадений на доске');
+                return null;
+            }
         }
         
-        return replacements;
+        const right = findRight(left);
+        let rightCardIds = [];
+        
+        if (tier === 2) {
+            const decoy = this.getHintTargets(left).find(c => !this.cardsMatch(left, c));
+            rightCardIds = decoy ? [right.id, decoy.id] : [right.id];
+        } else if (tier === 3) {
+            rightCardIds = [right.id];
+        }
+        
+        const cost = repeated ? 0 : this.rules.hintCost[tier];
+        
+        if (!repeated) {
+            this.hint = { pairId: left.pairId, tier };
+            this.hintsUsed++;
+            this.deductScore(cost);
+            this.combo = 0;
+            
+            console.log(`💡 Подсказка ${tier} уровня: -${cost} очков, combo сброшено`);
+        }
+        
+        return {
+            tier,
+            pairId: left.pairId,
+            leftCardId: left.id,
+            rightCardIds,
+            targetSide: right.side,
+            cost
+        };
+    }
+    
+    /**
+     * Цена следующей подсказки для той же цели
+     * (для кнопки; цель могла смениться - тогда это цена первого уровня)
+     */
+    getNextHintCost() {
+        const left = this.hint &&
+            this.getHintSources().find(c => c.pairId === this.hint.pairId);
+        
+        if (!left || !this.findHintRight(left, this.getHintTargets(left))) return this.rules.hintCost[1];
+        return this.hint.tier === 3 ? 0 : this.rules.hintCost[this.hint.tier + 1];
+    }
+    
+    /**
+     * Карточки, от которых строится подсказка
+     * (в обратном направлении - правые)
+     */
+    getHintSources() {
+        return this.boardCards[this.isReverse() ? 'right' : 'left'].filter(c => c.state === 'active');
+    }
+    
+    /**
+     * Карточки соседней колонки, к которым можно привязать источник подсказки
+     */
+    getHintTargets(source) {
+        return this.boardCards[source.side === 'left' ? 'right' : 'left'].filter(c => c.state === 'active');
+    }
+    
+    /**
+     * Правая карточка для подсказки к левой: своя пара,
+     * иначе любая подходящая (alsoMatches), не блокирующая партию
+     */
+    findHintRight(leftCard, rightCards) {
+        const playable = rightCards.filter(c => this.isPlayableMatch(leftCard, c));
+        return playable.find(c => c.pairId === leftCard.pairId) || playable[0] || null;
     }
     
     // ═══════════════════════════════════════════════════════════
@@ -585,53 +1695,312 @@ class GameModel {
      * Проверить завершена ли игра
      */
     isGameFinished() {
+        if (this.isEndless()) return false;
         return this.matchedPairsCount >= this.totalPairs;
     }
     
+    /**
+     * Средняя сложность найденных правых карточек (то, что реально сыграно)
+     * @returns {number|null}
+     */
+    getAverageDifficulty() {
+        const played = this.cards.filter(c => c.side === 'right' && c.state === 'matched' && c.difficulty);
+        if (played.length === 0) return null;
+        
+        const sum = played.reduce((total, c) => total + c.difficulty, 0);
+        return Math.round((sum / played.length) * 100) / 100;
+    }
+    
     /**
      * Получить результаты
      */
     getResults() {
         const duration = this.endTime && this.startTime ?
-            Math.floor((this.endTime - this.startTime) / 1000) : 0;
+            Math.floor(this.getElapsedTime(this.endTime) / 1000) : 0;
         
-        const accuracy = this.correctAnswers > 0 ?
-            Math.round((this.correctAnswers / (this.correctAnswers + this.incorrectAnswers)) * 100) : 100;
+        const attempts = this.correctAnswers + this.incorrectAnswers;
+        const accuracy = attempts > 0 ?
+            Math.round((this.correctAnswers / attempts) * 100) : 100;
+        
+        const reaction = this.getReactionStats();
         
         return {
             score: this.score,
+            attempts,
             correct: this.correctAnswers,
             incorrect: this.incorrectAnswers,
             accuracy,
             maxCombo: this.maxCombo,
             duration,
-            completed: this.isGameFinished()
+            completed: this.isGameFinished(),
+            mode: this.mode,
+            finishReason: this.finishReason,
+            timeLeft: this.isTimed() ? Math.ceil(this.timeRemaining / 1000) : null,
+            lives: this.lives,
+            hintsUsed: this.hintsUsed,
+            averageDifficulty: this.getAverageDifficulty(),
+            scoreBreakdown: { ...this.scoreBreakdown },
+            averageReactionMs: reaction.average,
+            medianReactionMs: reaction.median,
+            mistakes: this.getMistakes(),
+            answers: this.isRecall() ? this.getRecallAnswers() : null,
+            practice: this.practice,
+            streak: this.isEndless() ? this.correctAnswers : null,
+            matched: this.matchedPairsCount,
+            totalPairs: this.isEndless() ? null : this.totalPairs,
+            pairsLeft: this.isEndless() ? null : this.totalPairs - this.matchedPairsCount,
+            seed: this.seed,
+            daily: this.daily
+        };
+    }
+    
+    // ═══════════════════════════════════════════════════════════
+    // СОХРАНЕНИЕ ПАРТИИ
+    // ═══════════════════════════════════════════════════════════
+    
+    /**
+     * Снимок партии для сохранения (только простые данные, JSON)
+     * Снимать можно только между ходами - PLAYING или PAUSED
+     * @returns {Object|null}
+     */
+    serialize(now = Date.now()) {
+        if (this.state !== 'PLAYING' && this.state !== 'PAUSED') return null;
+        
+        const ids = cards => cards.map(c => c.id);
+        
+        return {
+            version: GAME_SNAPSHOT_VERSION,
+            savedAt: now,
+            
+            themeId: this.themeId,
+            difficulty: this.difficulty,
+            mode: this.mode,
+            daily: this.daily,
+            practice: this.practice,
+            seed: this.seed,
+            randomState: this.random ? this.random.state : null,
+            rules: this.rules,
+            
+            cards: this.cards,
+            boardCards: this.mapSides(side => ids(this.boardCards[side])),
+            poolCards: this.mapSides(side => ids(this.poolCards[side])),
+            
+            score: this.score,
+            scoreBreakdown: this.scoreBreakdown,
+            correctAnswers: this.correctAnswers,
+            incorrectAnswers: this.incorrectAnswers,
+            combo: this.combo,
+            maxCombo: this.maxCombo,
+            matchedPairsCount: this.matchedPairsCount,
+            totalPairs: this.isEndless() ? null : this.totalPairs,
+            
+            elapsed: this.getElapsedTime(now),
+            timeRemaining: this.timeRemaining,
+            lives: this.lives,
+            hintsUsed: this.hintsUsed,
+            hint: this.hint,
+            attempts: this.attempts,
+            adaptiveLevel: this.adaptiveLevel,
+            
+            endlessDealt: this.endlessDealt,
+            endlessUsedVariants: this.endlessUsedVariants,
+            dealtPairsCount: this.dealtPairsCount
         };
     }
     
+    /**
+     * Восстановить партию из снимка
+     * Часы продолжают идти с момента восстановления (пауза между сессиями не считается)
+     * @param {Object} snapshot - Результат serialize()
+     * @param {Array} pairs - Пары темы (нужны бесконечному режиму)
+     * @returns {boolean} false если снимок устарел или повреждён
+     */
+    restore(snapshot, pairs, now = Date.now()) {
+        if (!snapshot || snapshot.version !== GAME_SNAPSHOT_VERSION) {
+            console.warn('⚠️ Снимок партии устарел или отсутствует');
+            return false;
+        }
+        
+        const cardsById = new Map((snapshot.cards || []).map(c => [c.id, { ...c }]));
+        const resolve = list => (list || []).map(id => cardsById.get(id));
+        
+        const board = this.mapSides(side => resolve(snapshot.boardCards?.[side]));
+        const pool = this.mapSides(side => resolve(snapshot.poolCards?.[side]));
+        
+        if ([...Object.values(board), ...Object.values(pool)].some(list => list.some(c => !c)) ||
+            board.left.length === 0) {
+            console.warn('⚠️ Снимок партии повреждён');
+            return false;
+        }
+        
+        // Правила из localStorage проверяются так же, как из темы и URL,
+        // и должны быть полными (снимок старого формата мог остаться без новых правил)
+        const rulesErrors = GameRules.validate(snapshot.rules);
+        if (rulesErrors.length === 0) {
+            Object.keys(DEFAULT_GAME_RULES)
+                .filter(key => !(key in snapshot.rules))
+                .forEach(key => rulesErrors.push(`нет правила "${key}"`));
+        }
+        if (rulesErrors.length > 0) {
+            console.warn('⚠️ Правила в снимке партии некорректны:', rulesErrors.join('; '));
+            return false;
+        }
+        
+        this.themeId = snapshot.themeId;
+        this.difficulty = snapshot.difficulty;
+        this.mode = snapshot.mode;
+        this.daily = snapshot.daily;
+        this.practice = snapshot.practice;
+        this.seed = snapshot.seed;
+        this.rules = snapshot.rules;
+        
+        // Генератор продолжает ту же последовательность
+        if (this.random && snapshot.randomState !== null) {
+            this.random.seed = snapshot.seed;
+            this.random.state = snapshot.randomState;
+        }
+        
+        this.cards = [...cardsById.values()];
+        this.boardCards = board;
+        this.poolCards = pool;
+        
+        this.score = snapshot.score;
+        this.scoreBreakdown = { ...snapshot.scoreBreakdown };
+        this.correctAnswers = snapshot.correctAnswers;
+        this.incorrectAnswers = snapshot.incorrectAnswers;
+        this.combo = snapshot.combo;
+        this.maxCombo = snapshot.maxCombo;
+        this.matchedPairsCount = snapshot.matchedPairsCount;
+        this.totalPairs = snapshot.totalPairs === null ? Infinity : snapshot.totalPairs;
+        
+        this.startTime = now - snapshot.elapsed;
+        this.endTime = null;
+        this.pausedAt = null;
+        this.pausedDuration = 0;
+        this.timeRemaining = snapshot.timeRemaining;
+        this.lastTimerTick = now;
+        this.lives = snapshot.lives;
+        this.hintsUsed = snapshot.hintsUsed;
+        this.hint = snapshot.hint;
+        this.attempts = snapshot.attempts || [];
+        this.turnStartedAt = now;
+        
+        this.adaptiveLevel = snapshot.adaptiveLevel;
+        this.adaptiveVariants = this.isAdaptive() ?
+            new Map(pairs.map(pair => [pair.id, pair.rights || []])) : null;
+        
+        this.endlessSource = this.isEndless() ?
+            pairs.filter(pair => Array.isArray(pair.rights) && pair.rights.length > 0) : null;
+        this.endlessDealt = snapshot.endlessDealt || {};
+        this.endlessUsedVariants = snapshot.endlessUsedVariants || {};
+        this.dealtPairsCount = snapshot.dealtPairsCount;
+        
+        console.log(`💾 Партия восстановлена: ${this.matchedPairsCount} пар, ${this.score} очков`);
+        return true;
+    }
+    
     // ═══════════════════════════════════════════════════════════
     // УТИЛИТЫ
     // ═══════════════════════════════════════════════════════════
     
+    /**
+     * Случайное число [0, 1) из генератора модели
+     * Все случайные решения модели должны идти через этот метод!
+     */
+    nextRandom() {
+        return this.random ? this.random.next() : Math.random();
+    }
+    
     /**
      * Fisher-Yates shuffle
      */
     shuffle(array) {
         const result = [...array];
         for (let i = result.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(this.nextRandom() * (i + 1));
             [result[i], result[j]] = [result[j], result[i]];
         }
         return result;
     }
     
+    /**
+     * Подходят ли карточки друг к другу (порядок аргументов любой)
+     * Правая подходит к левой своей пары и к левым пар из alsoMatches
+     */
+    cardsMatch(cardA, cardB) {
+        const left = cardA.side === 'left' ? cardA : cardB;
+        const right = cardA.side === 'left' ? cardB : cardA;
+        
+        if (left.side !== 'left' || right.side !== 'right') return false;
+        
+        return left.pairId === right.pairId ||
+            (right.alsoMatches || []).includes(left.pairId);
+    }
+    
+    /**
+     * Есть ли в партии карточки с alsoMatches
+     * (без них совпадение никогда не блокирует партию)
+     */
+    hasSharedMatches() {
+        return this.cards.some(c => c.alsoMatches && c.alsoMatches.length > 0);
+    }
+    
+    /**
+     * Верное совпадение, после которого оставшиеся карточки
+     * (на доске и в пуле) уже не разобрать на пары без остатка.
+     * Пример: "Австрия" забрала "Немецкий" из пары "Германия",
+     * а своей правой карточке "Германия" не подходит.
+     */
+    isMatchBlocked(cardA, cardB) {
+        if (!this.hasSharedMatches()) return false;
+        
+        const remaining = side => this.cards.filter(c =>
+            c.side === side && c.state !== 'matched' && c.id !== cardA.id && c.id !== cardB.id
+        );
+        
+        return !this.hasPerfectMatching(remaining('left'), remaining('right'));
+    }
+    
+    /**
+     * Совпадение, которое можно засчитать
+     */
+    isPlayableMatch(cardA, cardB) {
+        return this.cardsMatch(cardA, cardB) && !this.isMatchBlocked(cardA, cardB);
+    }
+    
+    /**
+     * Можно ли разбить карточки на пары без остатка
+     * Алгоритм Куна: ищем увеличивающую цепочку для каждой левой карточки
+     */
+    hasPerfectMatching(leftCards, rightCards) {
+        if (leftCards.length !== rightCards.length) return false;
+        
+        const owner = new Map(); // id правой карточки → индекс левой
+        
+        const tryAssign = (leftIndex, visited) => {
+            for (const right of rightCards) {
+                if (visited.has(right.id) || !this.cardsMatch(leftCards[leftIndex], right)) continue;
+                visited.add(right.id);
+                
+                if (!owner.has(right.id) || tryAssign(owner.get(right.id), visited)) {
+                    owner.set(right.id, leftIndex);
+                    return true;
+                }
+            }
+            return false;
+        };
+        
+        return leftCards.every((_, index) => tryAssign(index, new Set()));
+    }
+    
     /**
      * Проверить, есть ли хотя бы одно совпадение между двумя массивами карточек
+     * (засчитываемое - см. isPlayableMatch)
      */
     checkAnyMatchExists(leftCards, rightCards) {
         for (let leftCard of leftCards) {
             for (let rightCard of rightCards) {
-                if (leftCard.pairId === rightCard.pairId) {
+                if (this.isPlayableMatch(leftCard, rightCard)) {
                     return true;
                 }
             }
@@ -645,7 +2014,7 @@ class GameModel {
     findMatchingCard(poolCards, boardCards) {
         for (let poolCard of poolCards) {
             for (let boardCard of boardCards) {
-                if (poolCard.pairId === boardCard.pairId) {
+                if (this.isPlayableMatch(boardCard, poolCard)) {
                     return poolCard;
                 }
             }
@@ -659,10 +2028,12 @@ class GameModel {
     reset() {
         this.state = 'IDLE';
         this.stateHistory = ['IDLE'];
+        this.finishReason = null;
         this.cards = [];
-        this.boardCards = { left: [], right: [] };
-        this.poolCards = { left: [], right: [] };
+        this.boardCards = { left: [], middle: [], right: [] };
+        this.poolCards = { left: [], middle: [], right: [] };
         this.score = 0;
+        this.scoreBreakdown = this.createScoreBreakdown();
         this.correctAnswers = 0;
         this.incorrectAnswers = 0;
         this.combo = 0;
@@ -671,6 +2042,21 @@ class GameModel {
         this.totalPairs = 0;
         this.startTime = null;
         this.endTime = null;
+        this.timeRemaining = null;
+        this.lastTimerTick = null;
+        this.pausedAt = null;
+        this.pausedDuration = 0;
+        this.lives = null;
+        this.hintsUsed = 0;
+        this.hint = null;
+        this.attempts = [];
+        this.turnStartedAt = null;
+        this.adaptiveLevel = null;
+        this.adaptiveVariants = null;
+        this.endlessSource = null;
+        this.endlessDealt = {};
+        this.endlessUsedVariants = {};
+        this.dealtPairsCount = 0;
         
         console.log('🔄 Модель сброшена');
     }
@@ -679,4 +2065,6 @@ class GameModel {
 // Экспорт для тестирования
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = GameModel;
+    module.exports.GAME_MODES = GAME_MODES;
+    module.exports.GAME_SNAPSHOT_VERSION = GAME_SNAPSHOT_VERSION;
 }
@@ -0,0 +1,173 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * GAME RULES - Настраиваемые правила игры (очки, штрафы, доска)
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * Правила собираются слоями, каждый следующий перекрывает предыдущий:
+ * 1. DEFAULT_GAME_RULES - значения по умолчанию
+ * 2. MODE_GAME_RULES[mode] - особенности режима
+ * 3. rules из JSON темы (необязательный блок)
+ * 4. параметры URL (?scoreIncorrect=-5&livesStart=5)
+ *
+ * Например, для младших классов - мягкие штрафы,
+ * для соревнований - строгие.
+ */
+
+const DEFAULT_GAME_RULES = Object.freeze({
+    scoreCorrect: 50,               // Очки за совпадение
+    scoreIncorrect: -10,            // Очки за ошибку (≤ 0)
+    comboBonus: 10,                 // Бонус за каждое совпадение серии сверх порога
+    comboThreshold: 5,              // С какого совпадения подряд начисляется бонус
+    cardsOnBoard: 6,                // Пар на доске
+    speedBonusMax: 30,              // Бонус за мгновенный ответ
+    speedBonusDecayMs: 4000,        // За это время бонус падает в e раз
+    difficultyMultiplier: Object.freeze({ 1: 1, 2: 1.5, 3: 2 }),  // Множитель базовых очков
+    hintCost: Object.freeze({ 1: 10, 2: 20, 3: 40 }),             // Цена подсказки по уровням
+    timeAttackStart: 60000,         // Time-attack: стартовый запас времени
+    timeBonusCorrect: 5000,         // Time-attack: +5 сек за совпадение
+    timePenaltyIncorrect: 3000,     // Time-attack: -3 сек за ошибку
+    livesStart: 3,                  // Survival: сердец на старте
+    endlessHardStreak: 30,          // Endless: серия, к которой лёгкие варианты почти исчезают
+    chainLinkScore: 20,             // Chain: очки за первое звено цепочки
+    memoryAttemptPenalty: 10        // Memory: минус к очкам пары за каждый лишний ход с её карточкой
+});
+
+const MODE_GAME_RULES = {
+    // Ошибка уже стоит жизни - очки не снимаем
+    'survival': { scoreIncorrect: 0 },
+    // Повторение - для учёбы, спешить незачем
+    'review': { speedBonusMax: 0 },
+    // Memory: счёт решают попытки, а не скорость - промах ничего не стоит сразу,
+    // но каждый лишний ход уменьшает очки пар, чьи карточки открывались (memoryAttemptPenalty)
+    'memory': { scoreIncorrect: 0, speedBonusMax: 0 },
+    // Recall: ответ печатают - скорость оцениваем мягче
+    'recall': { speedBonusDecayMs: 10000 }
+};
+
+// Допустимые значения: числа - { min, max, integer }, словари по сложности - { map: {...} }
+const GAME_RULE_LIMITS = {
+    scoreCorrect: { min: 0, max: 1000, integer: true },
+    scoreIncorrect: { min: -1000, max: 0, integer: true },
+    comboBonus: { min: 0, max: 1000, integer: true },
+    comboThreshold: { min: 2, max: 50, integer: true },
+    cardsOnBoard: { min: 3, max: 8, integer: true },
+    speedBonusMax: { min: 0, max: 1000, integer: true },
+    speedBonusDecayMs: { min: 500, max: 60000, integer: true },
+    difficultyMultiplier: { map: { min: 0, max: 10, integer: false } },
+    hintCost: { map: { min: 0, max: 1000, integer: true } },
+    timeAttackStart: { min: 10000, max: 600000, integer: true },
+    timeBonusCorrect: { min: 0, max: 60000, integer: true },
+    timePenaltyIncorrect: { min: 0, max: 60000, integer: true },
+    livesStart: { min: 1, max: 10, integer: true },
+    endlessHardStreak: { min: 5, max: 500, integer: true },
+    chainLinkScore: { min: 0, max: 1000, integer: true },
+    memoryAttemptPenalty: { min: 0, max: 1000, integer: true }
+};
+
+class GameRules {
+    /**
+     * Собрать правила из всех слоёв
+     * @param {Object} options - { mode, themeRules, overrides }
+     * @returns {Object} Полный набор правил
+     */
+    static resolve({ mode = 'classic', themeRules = null, overrides = null } = {}) {
+        const layers = [DEFAULT_GAME_RULES, MODE_GAME_RULES[mode], themeRules, overrides];
+        const rules = {};
+
+        layers.forEach(layer => {
+            if (!layer) return;
+
+            Object.entries(layer).forEach(([key, value]) => {
+                // Словари по сложности сливаются поуровнево
+                rules[key] = GAME_RULE_LIMITS[key] && GAME_RULE_LIMITS[key].map ?
+                    { ...(rules[key] || {}), ...value } :
+                    value;
+            });
+        });
+
+        return rules;
+    }
+
+    /**
+     * Проверить (частичный) набор правил
+     * @returns {Array} Список ошибок (пустой - всё в порядке)
+     */
+    static validate(rules) {
+        if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+            return ['rules должен быть объектом'];
+        }
+
+        const errors = [];
+
+        Object.entries(rules).forEach(([key, value]) => {
+            const limits = GAME_RULE_LIMITS[key];
+
+            if (!limits) {
+                errors.push(`неизвестное правило "${key}"`);
+                return;
+            }
+
+            if (limits.map) {
+                if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                    errors.push(`${key} должен быть объектом { "1": ..., "2": ..., "3": ... }`);
+                    return;
+                }
+
+                Object.entries(value).forEach(([difficulty, item]) => {
+                    if (!['1', '2', '3'].includes(difficulty)) {
+                        errors.push(`${key}: неизвестная сложность "${difficulty}"`);
+                        return;
+                    }
+                    const error = GameRules.checkNumber(item, limits.map);
+                    if (error) errors.push(`${key}.${difficulty} ${error}`);
+                });
+                return;
+            }
+
+            const error = GameRules.checkNumber(value, limits);
+            if (error) errors.push(`${key} ${error}`);
+        });
+
+        return errors;
+    }
+
+    /**
+     * @returns {string|null} Текст ошибки или null
+     */
+    static checkNumber(value, { min, max, integer }) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            return 'должно быть числом';
+        }
+        if (integer && !Number.isInteger(value)) {
+            return 'должно быть целым числом';
+        }
+        if (value < min || value > max) {
+            return `должно быть от ${min} до ${max}`;
+        }
+        return null;
+    }
+
+    /**
+     * Числовые правила из параметров URL (словари через URL не задаются)
+     * @param {URLSearchParams} urlParams
+     * @returns {Object|null} Частичный набор правил или null
+     */
+    static fromURLParams(urlParams) {
+        const rules = {};
+
+        Object.keys(GAME_RULE_LIMITS).forEach(key => {
+            if (GAME_RULE_LIMITS[key].map || !urlParams.has(key)) return;
+
+            const raw = urlParams.get(key);
+            rules[key] = raw.trim() === '' ? NaN : Number(raw);
+        });
+
+        return Object.keys(rules).length > 0 ? rules : null;
+    }
+}
+
+// Экспорт для тестирования
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameRules;
+    module.exports.DEFAULT_GAME_RULES = DEFAULT_GAME_RULES;
+}
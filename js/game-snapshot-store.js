@@ -0,0 +1,129 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * GAME SNAPSHOT STORE - Незаконченные партии в localStorage
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * Одна сохранённая партия на слот: тема + режим + сложность, у испытания
+ * дня - ещё и дата, у тренировки по ошибкам - отдельный слот. Испытание,
+ * викторина, другая сложность или тренировка по той же теме не затирают
+ * обычную партию и не предлагаются вместо неё.
+ *
+ * Слот - { themeId, mode, difficulty, daily, practice } (daily - dateKey или
+ * DailyChallenge.toJSON(), practice - список пар или null; тренировка
+ * по другому списку пар занимает тот же слот и старую заменяет). Снимок
+ * (GameModel.serialize) содержит те же поля и сам задаёт свой слот.
+ *
+ * Снимки другой версии (GAME_SNAPSHOT_VERSION из game-model.js),
+ * из другого слота и повреждённые записи удаляются при чтении.
+ *
+ * Зависит от: GAME_SNAPSHOT_VERSION (game-model.js)
+ */
+
+const GAME_SNAPSHOT_STORAGE_PREFIX = 'gameSnapshot_';
+
+class GameSnapshotStore {
+    /**
+     * Слот в виде строки: "world-cities|classic|d1", "world-cities|classic|d2|daily-2026-10-18"
+     * Без сложности - ключ снимков до её добавления в слот (см. removeLegacy)
+     */
+    static getSlotId({ themeId, mode, difficulty, daily, practice }) {
+        const dateKey = daily && typeof daily === 'object' ? daily.dateKey : daily;
+        const parts = [themeId, mode || 'classic'];
+
+        if (difficulty) parts.push(`d${difficulty}`);
+        if (dateKey) parts.push(`daily-${dateKey}`);
+        if (practice) parts.push('practice');
+
+        return parts.join('|');
+    }
+
+    /**
+     * Снимок из этого слота (у тренировки - ещё и тот же список пар)
+     */
+    static isSameSlot(snapshot, slot) {
+        return GameSnapshotStore.getSlotId(snapshot) === GameSnapshotStore.getSlotId(slot) &&
+            String(snapshot.practice || '') === String(slot.practice || '');
+    }
+
+    getKey(slot) {
+        return `${GAME_SNAPSHOT_STORAGE_PREFIX}${GameSnapshotStore.getSlotId(slot)}`;
+    }
+
+    /**
+     * Сохранить снимок (результат GameModel.serialize) в его слот
+     */
+    save(snapshot) {
+        if (!snapshot || !snapshot.themeId) return false;
+
+        try {
+            localStorage.setItem(this.getKey(snapshot), JSON.stringify(snapshot));
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Не удалось сохранить партию:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Прочитать снимок слота
+     * @returns {Object|null} null если снимка нет, он устарел или из другого слота
+     */
+    load(slot) {
+        let snapshot = null;
+
+        // Снимки из старых слотов (без режима или без сложности) уже не прочитать
+        this.removeLegacy(slot);
+
+        try {
+            const raw = localStorage.getItem(this.getKey(slot));
+            if (!raw) return null;
+            snapshot = JSON.parse(raw);
+        } catch (error) {
+            console.warn('⚠️ Сохранённая партия повреждена - удаляем:', error);
+            this.clear(slot);
+            return null;
+        }
+
+        if (!snapshot || snapshot.version !== GAME_SNAPSHOT_VERSION) {
+            console.warn(`⚠️ Сохранённая партия устарела (версия ${snapshot && snapshot.version}, ожидается ${GAME_SNAPSHOT_VERSION}) - удаляем`);
+            this.clear(slot);
+            return null;
+        }
+
+        if (!GameSnapshotStore.isSameSlot(snapshot, slot)) {
+            console.warn('⚠️ Сохранённая партия из другого режима, сложности или тренировки - удаляем');
+            this.clear(slot);
+            return null;
+        }
+
+        return snapshot;
+    }
+
+    clear(slot) {
+        try {
+            localStorage.removeItem(this.getKey(slot));
+        } catch (error) {
+            console.warn('⚠️ Не удалось удалить сохранённую партию:', error);
+        }
+    }
+
+    /**
+     * Удалить снимки старых форматов ключа: только тема (до разделения
+     * по режимам) и тема + режим без сложности
+     */
+    removeLegacy(slot) {
+        try {
+            localStorage.removeItem(`${GAME_SNAPSHOT_STORAGE_PREFIX}${slot.themeId}`);
+            if (slot.difficulty) {
+                localStorage.removeItem(this.getKey({ ...slot, difficulty: null }));
+            }
+        } catch (error) {
+            // localStorage недоступен - удалять нечего
+        }
+    }
+}
+
+// Экспорт для тестирования
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameSnapshotStore;
+}
@@ -17,6 +17,17 @@ class GameView {
         
         // DOM элементы
         this.leftContainer = document.getElementById('left-cards');
+        this.middleContainer = document.getElementById('middle-cards');
+        this.middleColumn = document.getElementById('middle-column');
+        this.leftColumn = document.querySelector('.left-column');
+        this.rightColumn = document.querySelector('.right-column');
+        this.recallForm = document.getElementById('recall-form');
+        this.recallInput = document.getElementById('recall-input');
+        this.recallPrompt = document.getElementById('recall-prompt');
+        this.quizPanel = document.getElementById('quiz-panel');
+        this.quizCounter = document.getElementById('quiz-counter');
+        this.quizStem = document.getElementById('quiz-stem');
+        this.quizOptions = document.getElementById('quiz-options');
         this.rightContainer = document.getElementById('right-cards');
         this.scoreEl = document.getElementById('score');
         this.comboEl = document.getElementById('combo');
@@ -24,6 +35,15 @@ class GameView {
         this.totalCountEl = document.getElementById('total-count');
         this.completionScreen = document.getElementById('game-completed');
         this.gameBoard = document.getElementById('game-board');
+        this.timerDisplay = document.getElementById('timer-display');
+        this.timerEl = document.getElementById('timer');
+        this.livesEl = document.getElementById('lives-display');
+        this.pauseBtn = document.getElementById('pause-btn');
+        this.hintBtn = document.getElementById('hint-btn');
+        this.pauseOverlay = document.getElementById('pause-overlay');
+        
+        // Обратное направление: левые и правые карточки меняются колонками
+        this.reversed = false;
         
         // Валидация
         this.validateElements();
@@ -59,16 +79,188 @@ class GameView {
         const titleEl = document.getElementById('game-title');
         const descEl = document.getElementById('game-description');
         const leftTitleEl = document.getElementById('left-column-title');
+        const middleTitleEl = document.getElementById('middle-column-title');
         const rightTitleEl = document.getElementById('right-column-title');
         
         if (titleEl) titleEl.textContent = themeData.title;
         if (descEl) descEl.textContent = themeData.description || '';
-        if (leftTitleEl) leftTitleEl.textContent = themeData.leftColumn?.title || 'Левая колонка';
-        if (rightTitleEl) rightTitleEl.textContent = themeData.rightColumn?.title || 'Правая колонка';
+        const leftTitle = themeData.leftColumn?.title || 'Левая колонка';
+        const rightTitle = themeData.rightColumn?.title || 'Правая колонка';
+        
+        if (leftTitleEl) leftTitleEl.textContent = this.reversed ? rightTitle : leftTitle;
+        if (middleTitleEl) middleTitleEl.textContent = themeData.middleColumn?.title || 'Средняя колонка';
+        if (rightTitleEl) rightTitleEl.textContent = this.reversed ? leftTitle : rightTitle;
         
         console.log('✅ Заголовки обновлены:', themeData.title);
     }
     
+    /**
+     * Обратное направление: правые варианты - в левой колонке, левые - в правой
+     * (вызывать до setGameInfo и renderCards)
+     */
+    setReverseLayout(isReverse) {
+        this.reversed = isReverse;
+        if (this.gameBoard) {
+            this.gameBoard.classList.toggle('reverse', isReverse);
+        }
+    }
+    
+    /**
+     * Контейнер колонки для карточек стороны side
+     */
+    getContainer(side) {
+        const containers = {
+            left: this.leftContainer,
+            middle: this.middleContainer,
+            right: this.rightContainer
+        };
+        
+        if (this.reversed && side !== 'middle') {
+            return containers[side === 'left' ? 'right' : 'left'];
+        }
+        return containers[side];
+    }
+    
+    /**
+     * Три колонки для режима цепочки (средняя скрыта в остальных режимах)
+     */
+    setChainLayout(isChain) {
+        if (this.gameBoard) {
+            this.gameBoard.classList.toggle('chain', isChain);
+        }
+        if (this.middleColumn) {
+            this.middleColumn.hidden = !isChain;
+        }
+    }
+    
+    /**
+     * Recall: вместо правой колонки - поле ввода ответа
+     */
+    setRecallLayout(isRecall) {
+        if (this.gameBoard) {
+            this.gameBoard.classList.toggle('recall', isRecall);
+        }
+        if (this.rightColumn) {
+            this.rightColumn.hidden = isRecall;
+        }
+        if (this.recallForm) {
+            this.recallForm.hidden = !isRecall;
+        }
+    }
+    
+    /**
+     * Recall: отправка ответа (Enter или кнопка)
+     * @param {Function} onSubmit - (text) => void
+     */
+    bindRecallForm(onSubmit) {
+        if (!this.recallForm) return;
+        
+        this.recallForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            onSubmit(this.recallInput ? this.recallInput.value : '');
+        });
+    }
+    
+    /**
+     * Recall: карточка, на которую сейчас отвечают
+     * @param {Object|null} cardData - Левая карточка (null - спрашивать нечего)
+     */
+    setRecallPrompt(cardData) {
+        document.querySelectorAll('.card.recall-prompt').forEach(el => {
+            el.classList.remove('recall-prompt');
+        });
+        
+        const card = cardData && document.getElementById(cardData.id);
+        if (card) card.classList.add('recall-prompt');
+        
+        if (this.recallPrompt) {
+            this.recallPrompt.textContent = cardData ? cardData.text : '';
+        }
+        if (this.recallInput) {
+            this.recallInput.value = '';
+            if (cardData) this.recallInput.focus();
+        }
+    }
+    
+    /**
+     * Recall: неверный ответ - показываем правильный
+     */
+    showRecallAnswer(correctText) {
+        this.showTooltip('✍️', `Правильный ответ: ${this.escapeHTML(correctText)}`, 'incorrect');
+    }
+    
+    /**
+     * Викторина: вместо колонок - вопрос с вариантами ответа
+     */
+    setQuizLayout(isQuiz) {
+        if (this.gameBoard) {
+            this.gameBoard.classList.toggle('quiz', isQuiz);
+        }
+        [this.leftColumn, this.rightColumn].forEach(column => {
+            if (column) column.hidden = isQuiz;
+        });
+        if (this.quizPanel) {
+            this.quizPanel.hidden = !isQuiz;
+        }
+    }
+    
+    /**
+     * Викторина: выбор варианта ответа
+     * @param {Function} onAnswer - (optionIndex) => void
+     */
+    bindQuizOptions(onAnswer) {
+        if (!this.quizOptions) return;
+        
+        this.quizOptions.addEventListener('click', (e) => {
+            const option = e.target.closest('.quiz-option');
+            if (option && !option.disabled) {
+                onAnswer(Number(option.dataset.index));
+            }
+        });
+    }
+    
+    /**
+     * Викторина: вопрос и варианты ответа
+     * @param {Object} question - Вопрос из QuizModel.getCurrentQuestion
+     * @param {number} number - Номер вопроса (с 1)
+     * @param {number} total - Всего вопросов
+     */
+    renderQuestion(question, number, total) {
+        if (!this.quizOptions) return;
+        
+        if (this.quizCounter) this.quizCounter.textContent = `Вопрос ${number} из ${total}`;
+        if (this.quizStem) this.quizStem.textContent = question.stem;
+        
+        this.quizOptions.innerHTML = '';
+        question.options.forEach((text, index) => {
+            const option = document.createElement('button');
+            option.type = 'button';
+            option.className = 'quiz-option';
+            option.dataset.index = index;
+            option.textContent = text;
+            this.quizOptions.appendChild(option);
+        });
+    }
+    
+    /**
+     * Викторина: подсветить правильный вариант и ошибочный выбор
+     */
+    showQuizAnswer(selectedIndex, correctIndex) {
+        if (!this.quizOptions) return;
+        
+        this.quizOptions.querySelectorAll('.quiz-option').forEach(option => {
+            const index = Number(option.dataset.index);
+            option.classList.toggle('correct', index === correctIndex);
+            option.classList.toggle('incorrect', index === selectedIndex && index !== correctIndex);
+        });
+    }
+    
+    escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+    
     // ═══════════════════════════════════════════════════════════
     // ОТОБРАЖЕНИЕ КАРТОЧЕК
     // ═══════════════════════════════════════════════════════════
@@ -80,42 +272,29 @@ class GameView {
         if (!this.leftContainer || !this.rightContainer) return;
         
         // Очищаем
-        this.leftContainer.innerHTML = '';
-        this.rightContainer.innerHTML = '';
-        
-        // Разделяем
-        const leftCards = cards.filter(c => c.side === 'left');
-        const rightCards = cards.filter(c => c.side === 'right');
-        
-        // Отображаем
-        leftCards.forEach(card => {
-            const el = this.createCardElement(card);
-            this.leftContainer.appendChild(el);
+        [this.leftContainer, this.middleContainer, this.rightContainer].forEach(container => {
+            if (container) container.innerHTML = '';
         });
         
-        rightCards.forEach(card => {
+        // Отображаем
+        const shown = cards.filter(card => this.getContainer(card.side));
+        shown.forEach(card => {
             const el = this.createCardElement(card);
-            this.rightContainer.appendChild(el);
+            this.getContainer(card.side).appendChild(el);
         });
         
         // Добавляем обработчики событий после того как все карточки в DOM
         if (window.dragDropManager) {
-            leftCards.forEach(card => {
+            shown.forEach(card => {
                 const el = document.getElementById(card.id);
                 if (el && card.state !== 'matched') {
-                    window.dragDropManager.addLeftCardListeners(el);
-                }
-            });
-            
-            rightCards.forEach(card => {
-                const el = document.getElementById(card.id);
-                if (el && card.state !== 'matched') {
-                    window.dragDropManager.addRightCardListeners(el);
+                    window.dragDropManager.addCardListeners(el);
                 }
             });
         }
         
-        console.log(`🎨 Отображено: ${leftCards.length} левых, ${rightCards.length} правых`);
+        const count = side => shown.filter(c => c.side === side).length;
+        console.log(`🎨 Отображено: ${count('left')} левых, ${count('middle')} средних, ${count('right')} правых`);
     }
     
     /**
@@ -134,18 +313,71 @@ class GameView {
             card.classList.add('matched');
         }
         
-        // Draggable - all cards
-        card.draggable = true;
+        // Memory: рубашкой вверх - текст не попадает в DOM, пока карточку не открыли
+        const faceDown = cardData.state === 'facedown';
+        if (faceDown) {
+            card.classList.add('facedown');
+        }
+        
+        // Цепочка: карточка уже связана со средней / у средней собраны звенья
+        if (cardData.state === 'linked') {
+            card.classList.add('linked');
+        }
+        if (cardData.linkedLeft) card.classList.add('linked-left');
+        if (cardData.linkedRight) card.classList.add('linked-right');
+        
+        // Draggable - all cards (кроме уже связанных в цепочку и закрытых)
+        card.draggable = cardData.state !== 'linked' && !faceDown;
         
         // Контент
         const content = document.createElement('div');
         content.className = 'card-content';
-        content.textContent = cardData.text;
+        content.textContent = faceDown ? '' : cardData.text;
         card.appendChild(content);
         
+        // Микс тем: значок темы, из которой карточка
+        if (cardData.source) {
+            const badge = document.createElement('span');
+            badge.className = 'card-source';
+            badge.textContent = cardData.source.icon;
+            badge.title = cardData.source.title;
+            card.appendChild(badge);
+        }
+        
         return card;
     }
     
+    /**
+     * Memory: открыть карточку с анимацией переворота
+     */
+    flipCard(cardData) {
+        const card = document.getElementById(cardData.id);
+        if (!card) return;
+        
+        const content = card.querySelector('.card-content');
+        if (content) content.textContent = cardData.text;
+        
+        card.classList.remove('facedown');
+        card.classList.add('flipping');
+        setTimeout(() => card.classList.remove('flipping'), 400);
+    }
+    
+    /**
+     * Memory: закрыть карточки обратно
+     */
+    flipBack(...cardIds) {
+        cardIds.forEach(id => {
+            const card = document.getElementById(id);
+            if (!card) return;
+            
+            const content = card.querySelector('.card-content');
+            if (content) content.textContent = '';
+            
+            card.classList.add('facedown', 'flipping');
+            setTimeout(() => card.classList.remove('flipping'), 400);
+        });
+    }
+    
     /**
      * Заменить карточку на новую (прямая замена без удаления)
      */
@@ -202,8 +434,7 @@ class GameView {
             const el = this.createCardElement(cardData);
             el.classList.add('card-new');
             
-            const container = cardData.side === 'left' ? 
-                this.leftContainer : this.rightContainer;
+            const container = this.getContainer(cardData.side);
             
             if (container) {
                 // Вставляем карточку на позицию, где была удалённая карточка
@@ -227,42 +458,82 @@ class GameView {
     
     /**
      * Показать анимацию правильного ответа
+     * @param {...string} cardIds - Карточки пары (в цепочке - все три;
+     *   в recall правой карточки на доске нет - анимируется только левая)
      */
-    showCorrectMatch(cardId1, cardId2) {
-        const card1 = document.getElementById(cardId1);
-        const card2 = document.getElementById(cardId2);
+    showCorrectMatch(...cardIds) {
+        const cards = cardIds.map(id => document.getElementById(id)).filter(Boolean);
         
-        if (!card1 || !card2) return;
+        if (cards.length === 0) return;
         
         // Зелёная анимация
-        card1.classList.add('correct');
-        card2.classList.add('correct');
+        cards.forEach(card => card.classList.add('correct'));
+        
+        setTimeout(() => {
+            cards.forEach(card => {
+                card.classList.remove('correct');
+                card.classList.add('matched', 'fade-out');
+            });
+        }, 600);
+    }
+    
+    /**
+     * Показать собранное звено цепочки
+     * @param {string} linkedCardId - Крайняя карточка (остаётся на доске связанной)
+     * @param {string} middleCardId - Средняя карточка
+     * @param {string} side - Колонка крайней карточки (left / right)
+     */
+    showChainLink(linkedCardId, middleCardId, side) {
+        const linked = document.getElementById(linkedCardId);
+        const middle = document.getElementById(middleCardId);
+        
+        if (!linked || !middle) return;
+        
+        linked.classList.add('correct', 'linked');
+        linked.draggable = false;
+        middle.classList.add('correct', `linked-${side}`);
         
         setTimeout(() => {
-            card1.classList.remove('correct');
-            card2.classList.remove('correct');
-            card1.classList.add('matched', 'fade-out');
-            card2.classList.add('matched', 'fade-out');
+            linked.classList.remove('correct');
+            middle.classList.remove('correct');
         }, 600);
     }
     
     /**
      * Показать анимацию неправильного ответа
      */
-    showIncorrectMatch(cardId1, cardId2) {
+    showIncorrectMatch(...cardIds) {
+        const cards = cardIds.map(id => document.getElementById(id)).filter(Boolean);
+        
+        if (cards.length === 0) return;
+        
+        // Красная анимация
+        cards.forEach(card => card.classList.add('incorrect'));
+        
+        setTimeout(() => {
+            cards.forEach(card => card.classList.remove('incorrect'));
+        }, 600);
+    }
+    
+    /**
+     * Верное, но блокирующее партию совпадение (alsoMatches):
+     * карточки остаются на месте, очки не меняются
+     */
+    showBlockedMatch(cardId1, cardId2) {
         const card1 = document.getElementById(cardId1);
         const card2 = document.getElementById(cardId2);
         
         if (!card1 || !card2) return;
         
-        // Красная анимация
-        card1.classList.add('incorrect');
-        card2.classList.add('incorrect');
+        card1.classList.add('blocked');
+        card2.classList.add('blocked');
         
         setTimeout(() => {
-            card1.classList.remove('incorrect');
-            card2.classList.remove('incorrect');
+            card1.classList.remove('blocked');
+            card2.classList.remove('blocked');
         }, 600);
+        
+        this.showTooltip('🔒', 'Подходит, но тогда другой карточке не останется пары. Попробуйте иначе!', 'blocked');
     }
     
     /**
@@ -284,12 +555,23 @@ class GameView {
     showMatchDescription(description) {
         if (!description) return;
         
+        this.showTooltip('✅', description);
+        
+        console.log('📝 Показано описание:', description);
+    }
+    
+    /**
+     * Всплывающее сообщение под навигацией
+     * @param {string} modifier - Доп. класс оформления (например, 'blocked')
+     */
+    showTooltip(icon, text, modifier = null) {
         // Создаём tooltip элемент
         const tooltip = document.createElement('div');
         tooltip.className = 'match-description-tooltip';
+        if (modifier) tooltip.classList.add(modifier);
         tooltip.innerHTML = `
-            <div class="tooltip-icon">✅</div>
-            <div class="tooltip-text">${description}</div>
+            <div class="tooltip-icon">${icon}</div>
+            <div class="tooltip-text">${text}</div>
         `;
         
         // Добавляем на страницу
@@ -309,8 +591,6 @@ class GameView {
                 }
             }, 300); // Ждём завершения анимации slide up
         }, 5300);
-        
-        console.log('📝 Показано описание:', description);
     }
     
     // ═══════════════════════════════════════════════════════════
@@ -323,10 +603,14 @@ class GameView {
         }
     }
     
-    updateCombo(combo) {
+    /**
+     * @param {number} combo - Совпадений подряд
+     * @param {number} threshold - С какого совпадения начисляется бонус (rules.comboThreshold)
+     */
+    updateCombo(combo, threshold = DEFAULT_GAME_RULES.comboThreshold) {
         if (!this.comboEl) return;
         
-        if (combo > 5) {
+        if (combo >= threshold) {
             this.comboEl.textContent = `×${combo}`;
             this.comboEl.parentElement?.classList.add('active');
             
@@ -339,12 +623,81 @@ class GameView {
         }
     }
     
+    /**
+     * Показать/скрыть обратный отсчёт
+     */
+    showTimer(visible) {
+        if (!this.timerDisplay) return;
+        this.timerDisplay.classList.toggle('hidden', !visible);
+    }
+    
+    /**
+     * Обновить обратный отсчёт
+     * @param {number|null} ms - Оставшееся время в миллисекундах
+     */
+    updateTimer(ms) {
+        if (!this.timerEl || ms === null || ms === undefined) return;
+        
+        const seconds = Math.ceil(ms / 1000);
+        this.timerEl.textContent = this.formatDuration(seconds);
+        
+        // Последние 10 секунд - красным
+        this.timerDisplay?.classList.toggle('low', seconds <= 10);
+    }
+    
+    /**
+     * Вспышка таймера при бонусе/штрафе
+     * @param {string} kind - bonus | penalty
+     */
+    flashTimer(kind) {
+        if (!this.timerDisplay) return;
+        
+        this.timerDisplay.classList.remove('bonus', 'penalty');
+        // Перезапуск анимации
+        void this.timerDisplay.offsetWidth;
+        this.timerDisplay.classList.add(kind);
+        
+        setTimeout(() => this.timerDisplay.classList.remove(kind), 600);
+    }
+    
+    /**
+     * Показать/скрыть индикатор жизней
+     */
+    showLives(visible) {
+        if (!this.livesEl) return;
+        this.livesEl.classList.toggle('hidden', !visible);
+    }
+    
+    /**
+     * Обновить сердца: ❤️ - оставшиеся, 🤍 - потерянные
+     */
+    updateLives(lives, maxLives) {
+        if (!this.livesEl || lives === null || lives === undefined) return;
+        
+        this.livesEl.textContent = '❤️'.repeat(lives) + '🤍'.repeat(Math.max(0, maxLives - lives));
+        this.livesEl.setAttribute('aria-label', `Жизни: ${lives} из ${maxLives}`);
+    }
+    
+    /**
+     * Встряска индикатора при потере жизни
+     */
+    flashLives() {
+        if (!this.livesEl) return;
+        
+        this.livesEl.classList.remove('lost');
+        void this.livesEl.offsetWidth;
+        this.livesEl.classList.add('lost');
+        
+        setTimeout(() => this.livesEl.classList.remove('lost'), 500);
+    }
+    
     updateProgress(matched, total) {
         if (this.matchedCountEl) {
             this.matchedCountEl.textContent = matched;
         }
         if (this.totalCountEl) {
-            this.totalCountEl.textContent = total;
+            // Бесконечный режим - пар сколько угодно
+            this.totalCountEl.textContent = Number.isFinite(total) ? total : '∞';
         }
     }
     
@@ -359,10 +712,27 @@ class GameView {
         if (this.gameBoard) {
             this.gameBoard.style.display = 'none';
         }
+        if (this.recallForm) {
+            this.recallForm.hidden = true;
+        }
         
         // Показываем экран завершения
         this.completionScreen.classList.remove('hidden');
         
+        // Заголовок зависит от причины завершения
+        const headline = this.getCompletionHeadline(results);
+        this.completionScreen.classList.toggle('defeat', results.finishReason === 'defeat');
+        const headlineElements = {
+            'completion-icon': headline.icon,
+            'completion-title': headline.title,
+            'completion-message': headline.message
+        };
+        
+        for (const [id, value] of Object.entries(headlineElements)) {
+            const el = document.getElementById(id);
+            if (el) el.textContent = value;
+        }
+        
         // Обновляем статистику
         const elements = {
             'final-score': results.score,
@@ -370,13 +740,195 @@ class GameView {
             'final-incorrect': results.incorrect,
             'final-accuracy': `${results.accuracy}%`,
             'final-combo': results.maxCombo,
-            'final-duration': this.formatDuration(results.duration)
+            'final-hints': results.hintsUsed,
+            'final-difficulty': results.averageDifficulty !== null ?
+                `${results.averageDifficulty.toFixed(1)} ⭐` : '—',
+            'final-duration': this.formatDuration(results.duration),
+            'final-seed': results.seed || '—'
         };
         
         for (const [id, value] of Object.entries(elements)) {
             const el = document.getElementById(id);
             if (el) el.textContent = value;
         }
+        
+        this.showScoreBreakdown(results);
+        this.showMemoryAttempts(results.memoryAttempts);
+        
+        // Ежедневное испытание
+        const dailyEl = document.getElementById('completion-daily');
+        if (dailyEl) {
+            if (results.daily) {
+                dailyEl.textContent = `📅 Daily #${results.daily.number}`;
+                dailyEl.classList.remove('hidden');
+            } else {
+                dailyEl.classList.add('hidden');
+            }
+        }
+    }
+    
+    /**
+     * Из чего сложились очки + время реакции
+     */
+    showScoreBreakdown(results) {
+        const breakdown = results.scoreBreakdown;
+        if (!breakdown) return;
+        
+        const elements = {
+            'breakdown-base': `+${breakdown.base}`,
+            'breakdown-combo': `+${breakdown.combo}`,
+            'breakdown-speed': `+${breakdown.speed}`,
+            'breakdown-difficulty': `+${breakdown.difficulty}`,
+            'breakdown-penalties': breakdown.penalties > 0 ? `−${breakdown.penalties}` : '0',
+            'final-reaction': results.averageReactionMs !== null ?
+                `${this.formatSeconds(results.averageReactionMs)} (медиана ${this.formatSeconds(results.medianReactionMs)})` :
+                '—'
+        };
+        
+        for (const [id, value] of Object.entries(elements)) {
+            const el = document.getElementById(id);
+            if (el) el.textContent = value;
+        }
+    }
+    
+    /**
+     * Memory: ходов на найденную пару (строка видна только в memory)
+     * @param {Object|null} stats - { average, firstTry } из MemoryModel.getMemoryAttemptStats
+     */
+    showMemoryAttempts(stats) {
+        const item = document.getElementById('final-memory-item');
+        const value = document.getElementById('final-memory-attempts');
+        if (!item || !value) return;
+        
+        item.hidden = !stats;
+        if (!stats) return;
+        
+        value.textContent = stats.average !== null ?
+            `${stats.average.toFixed(1)} (с первого хода: ${stats.firstTry})` :
+            '—';
+    }
+    
+    /**
+     * Миллисекунды → "2.4 с"
+     */
+    formatSeconds(ms) {
+        return `${(ms / 1000).toFixed(1)} с`;
+    }
+    
+    /**
+     * Разбор ошибок на экране завершения
+     * @param {Array} mistakes - Ошибочные попытки из GameModel.getMistakes
+     * @param {string|null} practiceUrl - Ссылка на тренировку по этим парам
+     */
+    showMistakes(mistakes, practiceUrl) {
+        const section = document.getElementById('completion-mistakes');
+        const list = document.getElementById('mistakes-list');
+        const practiceBtn = document.getElementById('practice-btn');
+        if (!section || !list) return;
+        
+        list.innerHTML = '';
+        section.classList.toggle('hidden', mistakes.length === 0);
+        
+        const countEl = document.getElementById('mistakes-count');
+        if (countEl) countEl.textContent = mistakes.length;
+        
+        mistakes.forEach(mistake => {
+            const item = document.createElement('li');
+            item.className = 'mistake-item';
+            
+            const lines = [
+                ['mistake-left', mistake.leftText],
+                ['mistake-chosen', `✗ ${mistake.chosenText}`],
+                ['mistake-correct', `✓ ${mistake.correctText || '—'}`]
+            ];
+            
+            if (mistake.description) {
+                lines.push(['mistake-description', mistake.description]);
+            }
+            
+            lines.forEach(([className, text]) => {
+                const el = document.createElement('div');
+                el.className = className;
+                el.textContent = text;
+                item.appendChild(el);
+            });
+            
+            list.appendChild(item);
+        });
+        
+        if (practiceBtn) {
+            practiceBtn.classList.toggle('hidden', !practiceUrl);
+            if (practiceUrl) practiceBtn.href = practiceUrl;
+        }
+    }
+    
+    /**
+     * Иконка, заголовок и текст экрана завершения
+     */
+    getCompletionHeadline(results) {
+        if (results.finishReason === 'time-up') {
+            return {
+                icon: '⏰',
+                title: 'Время вышло!',
+                message: `Найдено пар: ${results.matched} из ${results.totalPairs}`
+            };
+        }
+        
+        if (results.finishReason === 'defeat') {
+            return {
+                icon: '💔',
+                title: 'Поражение',
+                message: `Жизни закончились. Осталось пар: ${results.pairsLeft} из ${results.totalPairs}`
+            };
+        }
+        
+        if (results.finishReason === 'mistake') {
+            return {
+                icon: '♾️',
+                title: 'Серия прервана',
+                message: `Пар подряд без ошибок: ${results.streak}`
+            };
+        }
+        
+        if (results.mode === 'recall' && results.answers) {
+            const typos = results.answers.filter(answer => answer.isCorrect && !answer.exact).length;
+            return {
+                icon: '✍️',
+                title: 'Поздравляем!',
+                message: `Верных ответов: ${results.correct} из ${results.attempts}` +
+                    (typos > 0 ? ` (с опечатками: ${typos})` : '')
+            };
+        }
+        
+        if (results.mode === 'quiz') {
+            return {
+                icon: '❓',
+                title: 'Викторина пройдена!',
+                message: `Верных ответов: ${results.correct} из ${results.totalPairs}`
+            };
+        }
+        
+        if (results.mode === 'memory') {
+            return {
+                icon: '🃏',
+                title: 'Всё открыто!',
+                message: `Все пары найдены за ${results.attempts} попыток`
+            };
+        }
+        
+        if (results.mode === 'time-attack') {
+            return {
+                icon: '🎉',
+                title: 'Успели!',
+                message: `Все пары найдены, в запасе ${this.formatDuration(results.timeLeft)}`
+            };
+        }
+        
+        return {
+            icon: '🎉',
+            title: 'Поздравляем!',
+            message: 'Вы успешно сопоставили все пары!'
+        };
     }
     
     formatDuration(seconds) {
@@ -424,7 +976,44 @@ class GameView {
         }
     }
     
-    showErrorScreen(message) {
+    /**
+     * Испытание дня уже сыграно - вместо доски
+     * @param {Object} daily - { dateKey, number }
+     * @param {Object|null} result - Результат из профиля (у гостя - null)
+     */
+    showDailyPlayedScreen(daily, result) {
+        this.hideLoadingScreen();
+        
+        let screen = document.getElementById('daily-played-screen');
+        
+        if (!screen) {
+            screen = document.createElement('div');
+            screen.id = 'daily-played-screen';
+            screen.className = 'error-screen';
+            screen.innerHTML = `
+                <div class="error-content">
+                    <div class="error-icon">📅</div>
+                    <h2 class="error-title"></h2>
+                    <p class="error-message"></p>
+                    <a href="index.html" class="error-back-btn">Вернуться к темам</a>
+                </div>
+            `;
+            document.body.appendChild(screen);
+        }
+        
+        screen.querySelector('.error-title').textContent = `Daily #${daily.number} уже сыгран`;
+        screen.querySelector('.error-message').textContent = result ?
+            `Ваш результат: ${result.score} очков, ${result.accuracy}% точности. Новое испытание - завтра!` :
+            'Одна попытка в день - новое испытание завтра!';
+        
+        screen.classList.add('active');
+    }
+    
+    /**
+     * @param {string} message - Что случилось
+     * @param {Array} details - Список проблем (например, все ошибки файла темы)
+     */
+    showErrorScreen(message, details = []) {
         this.hideLoadingScreen();
         
         let errorScreen = document.getElementById('error-screen');
@@ -438,6 +1027,7 @@ class GameView {
                     <div class="error-icon">⚠️</div>
                     <h2 class="error-title">Ошибка загрузки</h2>
                     <p class="error-message"></p>
+                    <ul class="error-details" hidden></ul>
                     <button class="error-retry-btn" onclick="location.reload()">Попробовать снова</button>
                     <a href="index.html" class="error-back-btn">Вернуться к темам</a>
                 </div>
@@ -446,15 +1036,186 @@ class GameView {
         }
         
         errorScreen.querySelector('.error-message').textContent = message;
+        
+        const detailsList = errorScreen.querySelector('.error-details');
+        detailsList.innerHTML = '';
+        details.forEach(text => {
+            const item = document.createElement('li');
+            item.textContent = text;
+            detailsList.appendChild(item);
+        });
+        detailsList.hidden = details.length === 0;
+        
         errorScreen.classList.add('active');
     }
     
+    // ═══════════════════════════════════════════════════════════
+    // ПОДСКАЗКИ
+    // ═══════════════════════════════════════════════════════════
+    
+    /**
+     * Подсветить подсказку
+     * @param {Object} hint - { tier, leftCardId, rightCardIds } из GameModel.useHint
+     */
+    showHint(hint) {
+        this.clearHint();
+        
+        document.getElementById(hint.leftCardId)?.classList.add('hint-target');
+        
+        // Уровень 2+: в колонке ответа остаются только кандидаты
+        const targetContainer = this.getContainer(hint.targetSide);
+        if (hint.rightCardIds.length > 0 && targetContainer) {
+            targetContainer.querySelectorAll('.card').forEach(el => {
+                const isCandidate = hint.rightCardIds.includes(el.id);
+                el.classList.toggle('hint-target', isCandidate && hint.tier === 3);
+                el.classList.toggle('hint-candidate', isCandidate && hint.tier < 3);
+                el.classList.toggle('hint-dimmed', !isCandidate);
+            });
+        }
+    }
+    
+    clearHint() {
+        document.querySelectorAll('.hint-target, .hint-candidate, .hint-dimmed').forEach(el => {
+            el.classList.remove('hint-target', 'hint-candidate', 'hint-dimmed');
+        });
+    }
+    
+    /**
+     * Цена следующей подсказки на кнопке
+     */
+    updateHintButton(cost) {
+        if (!this.hintBtn) return;
+        
+        this.hintBtn.title = cost > 0 ?
+            `Подсказка: -${cost} очков, комбо сбрасывается` :
+            'Подсказка: пара уже показана';
+        this.hintBtn.setAttribute('aria-label', this.hintBtn.title);
+    }
+    
+    // ═══════════════════════════════════════════════════════════
+    // ПАУЗА И НЕЗАКОНЧЕННАЯ ПАРТИЯ
+    // ═══════════════════════════════════════════════════════════
+    
+    /**
+     * Показать/скрыть кнопки паузы и подсказки
+     * @param {boolean} withHint - Кнопка подсказки (в memory её нет)
+     */
+    showGameControls(visible, withHint = visible) {
+        if (this.pauseBtn) this.pauseBtn.classList.toggle('hidden', !visible);
+        if (this.hintBtn) this.hintBtn.classList.toggle('hidden', !withHint);
+    }
+    
+    /**
+     * Кнопки паузы и подсказки в навигации, "Продолжить" на экране паузы
+     * @param {Object} handlers - { onPause, onResume, onHint }
+     */
+    bindGameControls({ onPause, onResume, onHint }) {
+        if (this.pauseBtn) {
+            this.pauseBtn.addEventListener('click', onPause);
+        }
+        
+        if (this.hintBtn) {
+            this.hintBtn.addEventListener('click', onHint);
+        }
+        
+        const resumeBtn = this.pauseOverlay?.querySelector('.pause-resume-btn');
+        if (resumeBtn) {
+            resumeBtn.addEventListener('click', onResume);
+        }
+    }
+    
+    /**
+     * Экран паузы: доска скрыта, чтобы нельзя было подсмотреть
+     */
+    showPauseOverlay(visible) {
+        if (this.gameBoard) {
+            this.gameBoard.classList.toggle('paused', visible);
+        }
+        
+        if (this.pauseOverlay) {
+            this.pauseOverlay.classList.toggle('active', visible);
+        }
+        
+        if (this.pauseBtn) {
+            this.pauseBtn.textContent = visible ? '▶️' : '⏸️';
+            this.pauseBtn.setAttribute('aria-label', visible ? 'Продолжить' : 'Пауза');
+        }
+    }
+    
+    /**
+     * Спросить, продолжить ли сохранённую партию
+     * @param {Object} snapshot - Снимок GameModel.serialize()
+     * @param {Object} options - { note, allowNew }: пояснение под деталями партии;
+     *   allowNew: false - кнопки «Новая игра» нет (испытание дня)
+     * @returns {Promise<boolean>} true - продолжить, false - новая игра
+     */
+    askResumeGame(snapshot, { note = null, allowNew = true } = {}) {
+        const modeTitles = {
+            'classic': 'Классика',
+            'time-attack': 'На время',
+            'survival': 'Выживание',
+            'endless': 'Бесконечный',
+            'review': 'Повторение',
+            'adaptive': 'Адаптивный',
+            'chain': 'Цепочка',
+            'memory': 'Память',
+            'recall': 'Ввод ответа',
+            'quiz': 'Викторина',
+            'reverse': 'Наоборот'
+        };
+        
+        const total = snapshot.totalPairs === null ? '∞' : snapshot.totalPairs;
+        const details = [
+            '⭐'.repeat(snapshot.difficulty),
+            snapshot.practice ? 'Тренировка' : (modeTitles[snapshot.mode] || snapshot.mode),
+            `${snapshot.matchedPairsCount} / ${total} пар`,
+            `${snapshot.score} очков`
+        ].join(' · ');
+        
+        let prompt = document.getElementById('resume-prompt');
+        
+        if (!prompt) {
+            prompt = document.createElement('div');
+            prompt.id = 'resume-prompt';
+            prompt.className = 'resume-prompt';
+            prompt.innerHTML = `
+                <div class="resume-content">
+                    <div class="resume-icon">💾</div>
+                    <h2 class="resume-title">Продолжить незаконченную игру?</h2>
+                    <p class="resume-details"></p>
+                    <p class="resume-note" hidden></p>
+                    <button class="resume-continue-btn">Продолжить</button>
+                    <button class="resume-new-btn">Новая игра</button>
+                </div>
+            `;
+            document.body.appendChild(prompt);
+        }
+        
+        prompt.querySelector('.resume-details').textContent = details;
+        
+        const noteEl = prompt.querySelector('.resume-note');
+        noteEl.textContent = note || '';
+        noteEl.hidden = !note;
+        prompt.querySelector('.resume-new-btn').hidden = !allowNew;
+        prompt.classList.add('active');
+        
+        return new Promise(resolve => {
+            const answer = (value) => {
+                prompt.classList.remove('active');
+                resolve(value);
+            };
+            
+            prompt.querySelector('.resume-continue-btn').onclick = () => answer(true);
+            prompt.querySelector('.resume-new-btn').onclick = () => answer(false);
+        });
+    }
+    
     // ═══════════════════════════════════════════════════════════
     // БЛОКИРОВКА ВЗАИМОДЕЙСТВИЯ
     // ═══════════════════════════════════════════════════════════
     
     setInteractionEnabled(enabled) {
-        const containers = [this.leftContainer, this.rightContainer];
+        const containers = [this.leftContainer, this.middleContainer, this.rightContainer];
         
         containers.forEach(container => {
             if (container) {
@@ -467,6 +1228,18 @@ class GameView {
                 }
             }
         });
+        
+        // Recall: пока ответ проверяется, новый не вводится
+        if (this.recallInput) {
+            this.recallInput.disabled = !enabled;
+        }
+        
+        // Викторина: пока ответ проверяется, другой вариант не выбрать
+        if (this.quizOptions) {
+            this.quizOptions.querySelectorAll('.quiz-option').forEach(option => {
+                option.disabled = !enabled;
+            });
+        }
     }
     
     // ═══════════════════════════════════════════════════════════
@@ -43,6 +43,10 @@ class ThemeLoader {
         this.themes = [];
         this.escapeListenerAdded = false; // Флаг для Escape listener (difficulty modal)
         this.authEscapeListenerAdded = false; // Флаг для Escape listener (auth modal)
+        this.dailyAuthSubscribed = false; // Флаг подписки испытания дня на authManager
+        this.selectedMode = 'classic'; // Режим игры из модального окна сложности
+        this.themeDataCache = {}; // Загруженные файлы тем (число пар в окне сложности)
+        this.selectedMix = null; // id тем микса в окне сложности (null - одна тема)
     }
 
     async loadThemes() {
@@ -85,8 +89,10 @@ class ThemeLoader {
             'Другое': '📌'
         };
 
+        // Испытание дня - первым блоком
+        let html = this.createDailyChallengeCard();
+        
         // Создаём HTML для каждой категории
-        let html = '';
         for (const [category, themes] of Object.entries(categories)) {
             const icon = categoryIcons[category] || '📌';
             const categoryId = category.toLowerCase().replace(/\s+/g, '-');
@@ -99,6 +105,7 @@ class ThemeLoader {
                         <span class="category-count">${themes.length}</span>
                         <span class="category-arrow">▼</span>
                     </button>
+                    ${this.createCategoryMixButton(category, themes)}
                     <div class="category-themes" id="category-${categoryId}">
                         ${themes.map(theme => this.createThemeCard(theme)).join('')}
                     </div>
@@ -108,7 +115,142 @@ class ThemeLoader {
 
         this.themesContainer.innerHTML = html;
         this.attachEventListeners();
+        this.setupCategoryMixButtons();
         this.setupCategoryToggles();
+        this.setupDailyChallenge();
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════
+     * МИКС КАТЕГОРИИ (см. theme-mix.js)
+     * ═══════════════════════════════════════════════════════════
+     */
+    
+    createCategoryMixButton(category, themes) {
+        if (typeof ThemeMix === 'undefined' || themes.length < MIN_MIX_THEMES) return '';
+        
+        return `
+            <button class="category-mix-btn"
+                    data-category-title="${category}"
+                    data-mix="${themes.slice(0, MAX_MIX_THEMES).map(theme => theme.id).join(',')}">
+                🔀 Играть микс категории
+            </button>
+        `;
+    }
+    
+    setupCategoryMixButtons() {
+        document.querySelectorAll('.category-mix-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                const themeIds = button.dataset.mix.split(',');
+                
+                // Микс проходит тот же путь, что и тема: вход → сложность → игра
+                this.handleThemeClick({
+                    id: ThemeMix.getId(themeIds),
+                    title: `Микс: ${button.dataset.categoryTitle}`,
+                    icon: '🔀',
+                    mix: themeIds
+                });
+            });
+        });
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════
+     * ИСПЫТАНИЕ ДНЯ
+     * ═══════════════════════════════════════════════════════════
+     */
+    
+    createDailyChallengeCard() {
+        if (typeof DailyChallenge === 'undefined') return '';
+        
+        this.dailyChallenge = DailyChallenge.today();
+        this.dailyPick = this.dailyChallenge.pick(this.themes);
+        if (!this.dailyPick) return '';
+        
+        const theme = this.themes.find(t => t.id === this.dailyPick.themeId);
+        
+        return `
+            <div class="daily-challenge-section">
+                <button class="daily-challenge-card" id="daily-challenge-card">
+                    <div class="daily-challenge-icon">📅</div>
+                    <div class="daily-challenge-info">
+                        <div class="daily-challenge-label">Испытание дня · Daily #${this.dailyChallenge.number}</div>
+                        <div class="daily-challenge-title">${theme.icon} ${theme.title}</div>
+                        ${this.getDifficultyStars(this.dailyPick.difficulty)}
+                        <div class="daily-challenge-status" id="daily-challenge-status">
+                            Одна попытка · одинаковая доска у всех игроков
+                        </div>
+                    </div>
+                </button>
+            </div>
+        `;
+    }
+    
+    setupDailyChallenge() {
+        const card = document.getElementById('daily-challenge-card');
+        if (!card) return;
+        
+        card.addEventListener('click', () => {
+            if (card.classList.contains('played')) {
+                console.log('ℹ️ Испытание дня уже сыграно');
+                return;
+            }
+            
+            if (window.soundManager) {
+                window.soundManager.playClick();
+            }
+            
+            window.location.href = this.dailyChallenge.getGameUrl(
+                this.dailyPick.themeId,
+                this.dailyPick.difficulty
+            );
+        });
+        
+        if (this.dailyChallenge.isPlayedLocally()) {
+            this.showDailyChallengePlayed(null);
+        } else if (this.dailyChallenge.isStartedLocally()) {
+            const status = document.getElementById('daily-challenge-status');
+            if (status) status.textContent = '⏸️ Испытание начато - продолжите партию';
+        }
+        
+        // Результат из профиля появляется после входа
+        if (window.authManager && !this.dailyAuthSubscribed) {
+            window.authManager.onAuthStateChanged(user => {
+                if (user) this.loadDailyChallengeStatus();
+            });
+            this.dailyAuthSubscribed = true;
+        }
+        
+        if (window.authManager && window.authManager.isLoggedIn()) {
+            this.loadDailyChallengeStatus();
+        }
+    }
+    
+    async loadDailyChallengeStatus() {
+        if (!window.progressManager) return;
+        
+        const [today, playedCount] = await Promise.all([
+            progressManager.getDailyResult(this.dailyChallenge.dateKey),
+            progressManager.getDailyCount()
+        ]);
+        
+        if (today) {
+            this.showDailyChallengePlayed(today, playedCount);
+        }
+    }
+    
+    showDailyChallengePlayed(result, playedCount = 0) {
+        const card = document.getElementById('daily-challenge-card');
+        const status = document.getElementById('daily-challenge-status');
+        if (!card || !status) return;
+        
+        card.classList.add('played');
+        
+        if (result) {
+            status.textContent = `✅ Сыграно: ${result.score} очков, ${result.accuracy}% точности · всего испытаний: ${playedCount}`;
+        } else {
+            status.textContent = '✅ Сегодня уже сыграно - приходите завтра!';
+        }
     }
     
     setupCategoryToggles() {
@@ -181,6 +323,11 @@ class ThemeLoader {
         // Значок ONE-TO-MANY если есть
         const badge = theme.badge ? `<span class="theme-badge">${theme.badge}</span>` : '';
         
+        // Из каталога (scripts/build-catalog.js): число пар и уровни, на которые их хватает
+        const pairs = theme.pairCount ?
+            `<span class="theme-pairs">${this.formatPairCount(theme.pairCount)}</span>` : '';
+        const levels = theme.playableDifficulties ? this.createThemeLevels(theme.playableDifficulties) : '';
+        
         return `
             <div class="theme-card" data-theme-id="${theme.id}">
                 <div class="theme-icon-large">${theme.icon}</div>
@@ -188,10 +335,28 @@ class ThemeLoader {
                 <div class="theme-description-hover">${theme.description}</div>
                 <div class="theme-meta">
                     ${badge}
+                    ${pairs}
+                    ${levels}
                 </div>
             </div>
         `;
     }
+    
+    /**
+     * Звёздочки уровней на карточке темы: недоступные - приглушены
+     * @param {Array} playable - Уровни, на которые хватает пар
+     */
+    createThemeLevels(playable) {
+        const titles = { 1: 'Лёгкий уровень', 2: 'Средний уровень', 3: 'Сложный уровень' };
+        
+        const stars = [1, 2, 3].map(level => {
+            const available = playable.includes(level);
+            const title = `${titles[level]}${available ? '' : ' - не хватает пар'}`;
+            return `<span class="theme-level${available ? '' : ' unavailable'}" data-level="${level}" title="${title}">★</span>`;
+        }).join('');
+        
+        return `<span class="theme-levels">${stars}</span>`;
+    }
 
     attachEventListeners() {
         const cards = document.querySelectorAll('.theme-card');
@@ -363,6 +528,7 @@ class ThemeLoader {
         const closeBtn = modal.querySelector('.difficulty-close');
         const overlay = modal.querySelector('.difficulty-overlay');
         const difficultyOptions = modal.querySelectorAll('.difficulty-option');
+        const modeOptions = modal.querySelectorAll('.mode-option');
         
         // Закрытие по кнопке
         if (closeBtn) {
@@ -389,6 +555,19 @@ class ThemeLoader {
             this.escapeListenerAdded = true;
         }
         
+        // Выбор режима игры
+        modeOptions.forEach(option => {
+            option.addEventListener('click', () => {
+                this.selectMode(option.dataset.mode);
+                
+                const themeId = modal.dataset.currentTheme;
+                if (themeId) {
+                    this.loadPairCounts(themeId);
+                    this.loadProgressForDifficulties(themeId);
+                }
+            });
+        });
+        
         // Обработка выбора сложности
         difficultyOptions.forEach(option => {
             option.addEventListener('click', () => {
@@ -416,8 +595,10 @@ class ThemeLoader {
         if (icon) icon.textContent = theme.icon;
         if (title) title.textContent = theme.title;
         modal.dataset.currentTheme = theme.id;
+        this.selectedMix = theme.mix || null;
         
-        // Загружаем и отображаем прогресс
+        // Число пар и прогресс для каждой сложности
+        await this.loadPairCounts(theme.id);
         await this.loadProgressForDifficulties(theme.id);
         
         // Показываем модальное окно
@@ -430,7 +611,127 @@ class ThemeLoader {
     }
     
     /**
-     * Загрузить прогресс для всех сложностей темы
+     * Выбрать режим игры в модальном окне
+     */
+    selectMode(mode) {
+        this.selectedMode = mode || 'classic';
+        
+        document.querySelectorAll('#difficulty-modal .mode-option').forEach(option => {
+            option.classList.toggle('active', option.dataset.mode === this.selectedMode);
+        });
+        
+        console.log('🎮 Режим игры:', this.selectedMode);
+    }
+    
+    /**
+     * Показать, сколько пар будет на каждой сложности
+     * (тема может задать свои распределения - см. difficulty-distribution.js)
+     * Заодно показывает режим цепочки, если у темы есть средняя колонка
+     */
+    async loadPairCounts(themeId) {
+        let themeData;
+        
+        if (this.selectedMix) {
+            // Микс: пары всех его тем
+            const sources = await Promise.all(this.selectedMix.map(id => this.fetchThemeData(id)));
+            themeData = sources.every(Boolean) ?
+                ThemeMix.combine(sources.map((data, index) => ({ id: this.selectedMix[index], data }))) :
+                null;
+        } else {
+            themeData = await this.fetchThemeData(themeId);
+        }
+        
+        this.updateChainModeOption(themeData);
+        
+        // В цепочке участвуют только пары со средней карточкой
+        if (themeData && this.selectedMode === 'chain') {
+            themeData = { ...themeData, pairs: this.getChainPairs(themeData) };
+        }
+        
+        for (let difficulty = 1; difficulty <= 3; difficulty++) {
+            const pairsEl = document.querySelector(`.difficulty-option-pairs[data-difficulty="${difficulty}"]`);
+            if (!pairsEl) continue;
+            
+            const count = DifficultyDistribution.getPairCount(themeData, difficulty);
+            pairsEl.textContent = this.formatPairCount(count);
+        }
+        
+        // Файл не загрузился - доступные уровни из каталога
+        const catalogTheme = this.themes.find(theme => theme.id === themeId);
+        const playable = themeData ?
+            DifficultyDistribution.getPlayableDifficulties(themeData) :
+            (catalogTheme && catalogTheme.playableDifficulties) || [1, 2, 3];
+        this.updateDifficultyOptions(playable);
+    }
+    
+    /**
+     * Уровни, на которые не хватает пар темы, выбрать нельзя
+     */
+    updateDifficultyOptions(playable) {
+        document.querySelectorAll('#difficulty-modal .difficulty-option').forEach(option => {
+            const available = playable.includes(parseInt(option.dataset.difficulty));
+            option.disabled = !available;
+            option.title = available ? '' : 'В теме не хватает пар для этого уровня';
+        });
+    }
+    
+    /**
+     * Файл темы (с кэшем)
+     * @returns {Object|null} null если не загрузился - остаются стандартные числа из разметки
+     */
+    async fetchThemeData(themeId) {
+        if (this.themeDataCache[themeId]) return this.themeDataCache[themeId];
+        
+        try {
+            const response = await fetch(`data/themes/${themeId}.json`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const { themeData } = ThemeMigrations.migrate(await response.json());
+            this.themeDataCache[themeId] = themeData;
+            return themeData;
+        } catch (error) {
+            console.warn('⚠️ Не удалось загрузить тему для подсчёта пар:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Пары темы со средней карточкой (для режима цепочки)
+     */
+    getChainPairs(themeData) {
+        return (themeData.pairs || []).filter(pair => pair.middle);
+    }
+    
+    /**
+     * Режим цепочки доступен, только если у темы хватает пар со средней карточкой
+     */
+    updateChainModeOption(themeData) {
+        const option = document.querySelector('#difficulty-modal .mode-option[data-mode="chain"]');
+        if (!option) return;
+        
+        const available = !!themeData && this.getChainPairs(themeData).length >= 6;
+        option.hidden = !available;
+        
+        if (!available && this.selectedMode === 'chain') {
+            this.selectMode('classic');
+        }
+    }
+    
+    /**
+     * "1 пара", "3 пары", "10 пар"
+     */
+    formatPairCount(count) {
+        const mod10 = count % 10;
+        const mod100 = count % 100;
+        
+        if (mod10 === 1 && mod100 !== 11) return `${count} пара`;
+        if (mod10 >= 2 && mod10 <= 4 && (mod100 < 12 || mod100 > 14)) return `${count} пары`;
+        return `${count} пар`;
+    }
+    
+    /**
+     * Загрузить прогресс для всех сложностей темы (в выбранном режиме)
      */
     async loadProgressForDifficulties(themeId) {
         // Очищаем прогресс
@@ -448,9 +749,41 @@ class ThemeLoader {
         
         try {
             console.log('📊 Загружаем прогресс для темы:', themeId);
+            
+            // Бесконечный режим: один рекорд серии на тему (сложность - только старт)
+            if (this.selectedMode === 'endless') {
+                const bestStreak = await progressManager.getEndlessBest(themeId);
+                if (bestStreak) {
+                    progressElements.forEach(el => {
+                        el.textContent = `Рекорд серии: ${bestStreak}`;
+                        el.style.display = 'block';
+                        el.style.color = '#6b7280';
+                        el.style.fontWeight = '600';
+                    });
+                }
+                return;
+            }
+            
+            // Повторение: сколько изученных пар темы пора повторить
+            if (this.selectedMode === 'review') {
+                const mastery = await progressManager.getMastery(themeId);
+                const total = Object.keys(mastery).length;
+                
+                if (total > 0) {
+                    const due = new SpacedRepetition().countDue(mastery);
+                    progressElements.forEach(el => {
+                        el.textContent = `Пора повторить: ${due} из ${total} пар`;
+                        el.style.display = 'block';
+                        el.style.color = due > 0 ? '#f59e0b' : '#10b981';
+                        el.style.fontWeight = '600';
+                    });
+                }
+                return;
+            }
+            
             // Получаем прогресс по всем сложностям
             for (let difficulty = 1; difficulty <= 3; difficulty++) {
-                const progress = await progressManager.getThemeProgress(themeId, difficulty);
+                const progress = await progressManager.getThemeProgress(themeId, difficulty, this.selectedMode);
                 
                 if (progress && progress.bestAccuracy !== undefined) {
                     const progressEl = document.querySelector(`.difficulty-option-progress[data-difficulty="${difficulty}"]`);
@@ -487,8 +820,10 @@ class ThemeLoader {
             window.soundManager.playClick();
         }
         
-        // Переход на страницу игры с параметрами темы и сложности
-        window.location.href = `game.html?theme=${themeId}&difficulty=${difficulty}`;
+        // Переход на страницу игры с параметрами темы (или микса), сложности и режима
+        const source = this.selectedMix ? `mix=${this.selectedMix.join(',')}` : `theme=${themeId}`;
+        const modeParam = this.selectedMode !== 'classic' ? `&mode=${this.selectedMode}` : '';
+        window.location.href = `game.html?${source}&difficulty=${difficulty}${modeParam}`;
     }
 
     startGame(themeId) {
@@ -574,6 +909,26 @@ const categoryStyles = `
         transform: rotate(180deg);
     }
     
+    /* Микс категории - под заголовком, справа */
+    .category-mix-btn {
+        display: block;
+        margin: -0.75rem 0 1.5rem auto;
+        padding: 0.5rem 1rem;
+        background: transparent;
+        border: 1px solid var(--accent-color);
+        border-radius: 20px;
+        color: var(--accent-color);
+        font-size: 0.9rem;
+        font-weight: 600;
+        cursor: pointer;
+        transition: all 0.2s ease;
+    }
+    
+    .category-mix-btn:hover {
+        background: var(--accent-color);
+        color: white;
+    }
+    
     .category-themes {
         display: grid;
         grid-template-columns: repeat(auto-fill, minmax(350px, 1fr));
@@ -614,6 +969,12 @@ const categoryStyles = `
             font-size: 1rem;
         }
         
+        .category-mix-btn {
+            margin: 0.5rem 0 0 auto;
+            padding: 0.4rem 0.85rem;
+            font-size: 0.85rem;
+        }
+        
         /* Accordion: по умолчанию свёрнуто */
         .category-themes {
             grid-template-columns: 1fr;
@@ -834,7 +1195,7 @@ class UserProfileUI {
         const difficulties = [1, 2, 3];
         
         difficulties.forEach(diff => {
-            const progress = themeProgress.find(p => p.difficulty === diff);
+            const progress = themeProgress.find(p => p.difficulty === diff && (p.mode || 'classic') === 'classic');
             const stars = '⭐'.repeat(diff);
             
             if (progress && progress.bestScore) {
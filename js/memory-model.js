@@ -0,0 +1,173 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * MEMORY MODEL - Memory: карточки рубашкой вверх
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * Карточки выкладываются закрытыми (state: facedown). За ход открывается
+ * одна левая и одна правая; открытая пара проверяется как обычный ход,
+ * промах закрывает карточки обратно. Очки пары уменьшаются за каждый
+ * лишний ход (правило memoryAttemptPenalty).
+ *
+ * Всё остальное - от GameModel: подбор пар, замены на доске,
+ * журнал ходов, итоги и сохранение партии.
+ */
+
+class MemoryModel extends GameModel {
+    /**
+     * @param {Object} options - Как у GameModel
+     */
+    constructor(options = {}) {
+        super(options);
+
+        this.mode = 'memory';
+
+        /**
+         * pairId → сколько ходов открывалась карточка пары
+         * (включая ход, которым пара найдена)
+         */
+        this.memoryAttempts = {};
+    }
+
+    getDealtState() {
+        return 'facedown';
+    }
+
+    /**
+     * Открыть карточку (за ход - одну левую и одну правую)
+     * @returns {Object|null} Открытая карточка или null, если открыть нельзя
+     */
+    flipCard(cardId) {
+        if (!this.canInteract()) return null;
+
+        const card = this.getAllBoardCards().find(c => c.id === cardId);
+        if (!card || card.state !== 'facedown') return null;
+
+        // В этой колонке уже открыта карточка
+        if (this.boardCards[card.side].some(c => c.state === 'active')) return null;
+
+        card.state = 'active';
+        return card;
+    }
+
+    /**
+     * Открытые карточки хода
+     * @returns {Array|null} [левая, правая] или null, пока открыты не обе
+     */
+    getFaceUpPair() {
+        const left = this.boardCards.left.find(c => c.state === 'active');
+        const right = this.boardCards.right.find(c => c.state === 'active');
+        return left && right ? [left, right] : null;
+    }
+
+    /**
+     * Закрыть открытые карточки (после промаха)
+     */
+    flipBack(...cardIds) {
+        cardIds.forEach(id => {
+            const card = this.cards.find(c => c.id === id);
+            if (card && card.state === 'active') {
+                card.state = 'facedown';
+            }
+        });
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // ХОДЫ НА ПАРУ
+    // ═══════════════════════════════════════════════════════════
+
+    /**
+     * Засчитать ход парам открытых карточек
+     * @returns {number} Ходов у пары левой карточки, включая этот
+     */
+    countMemoryAttempt(leftCard, rightCard) {
+        new Set([leftCard.pairId, rightCard.pairId]).forEach(pairId => {
+            this.memoryAttempts[pairId] = (this.memoryAttempts[pairId] || 0) + 1;
+        });
+        return this.memoryAttempts[leftCard.pairId];
+    }
+
+    /**
+     * Сколько очков пары снять за лишние ходы (не больше базовых очков)
+     * @param {number} attempts - Ходов на пару, включая найденный
+     */
+    getMemoryAttemptPenalty(attempts) {
+        return Math.min(this.rules.scoreCorrect, Math.max(0, attempts - 1) * this.rules.memoryAttemptPenalty);
+    }
+
+    getMatchPenalty(leftCard, rightCard) {
+        return this.getMemoryAttemptPenalty(this.countMemoryAttempt(leftCard, rightCard));
+    }
+
+    /**
+     * Промах - забытое место карточки, а не незнание пары, поэтому
+     * в журнал ходов (разбор ошибок, повторение) не пишем...
+     */
+    recordMismatch(card1, card2) {
+        // ...зато это ход для обеих пар: их очки при нахождении будут меньше
+        this.countMemoryAttempt(...(card1.side === 'left' ? [card1, card2] : [card2, card1]));
+    }
+
+    /**
+     * Ходов на найденную пару - среднее и сколько пар найдено с первого хода
+     * @returns {Object} { average, firstTry }
+     */
+    getMemoryAttemptStats() {
+        const matchedPairIds = [...new Set(this.cards
+            .filter(c => c.side === 'left' && c.state === 'matched')
+            .map(c => c.pairId))];
+        const counts = matchedPairIds.map(pairId => this.memoryAttempts[pairId] || 1);
+
+        return {
+            average: counts.length > 0 ? counts.reduce((sum, n) => sum + n, 0) / counts.length : null,
+            firstTry: counts.filter(n => n === 1).length
+        };
+    }
+
+    getResults() {
+        return {
+            ...super.getResults(),
+            memoryAttempts: this.getMemoryAttemptStats()
+        };
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // СОХРАНЕНИЕ ПАРТИИ
+    // ═══════════════════════════════════════════════════════════
+
+    serialize(now = Date.now()) {
+        const snapshot = super.serialize(now);
+        if (!snapshot) return null;
+
+        return {
+            ...snapshot,
+            memoryAttempts: this.memoryAttempts
+        };
+    }
+
+    /**
+     * Восстанавливается только снимок memory; ход прерван -
+     * открытые карточки снова закрыты
+     */
+    restore(snapshot, pairs, now = Date.now()) {
+        if (!snapshot || snapshot.mode !== 'memory') {
+            console.warn('⚠️ Снимок не от memory');
+            return false;
+        }
+
+        if (!super.restore(snapshot, pairs, now)) return false;
+
+        this.memoryAttempts = snapshot.memoryAttempts || {};
+        this.flipBack(...this.getAllBoardCards().map(c => c.id));
+        return true;
+    }
+
+    reset() {
+        super.reset();
+        this.memoryAttempts = {};
+    }
+}
+
+// Экспорт для тестирования
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MemoryModel;
+}
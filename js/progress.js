@@ -43,6 +43,16 @@ class ProgressManager {
      * ═══════════════════════════════════════════════════════════
      */
     
+    /**
+     * ID документа прогресса
+     * Классика - `${themeId}_${difficulty}` (как раньше), остальные режимы -
+     * отдельная таблица рекордов с суффиксом режима
+     */
+    getProgressDocId(themeId, difficulty, mode = 'classic') {
+        const base = `${themeId}_${difficulty}`;
+        return mode === 'classic' ? base : `${base}_${mode}`;
+    }
+    
     async saveGameResult(themeId, difficulty, results) {
         if (!this.userId) {
             console.log('⚠️ Пользователь не вошёл - прогресс не сохраняется');
@@ -52,10 +62,12 @@ class ProgressManager {
         try {
             console.log('💾 Сохранение прогресса:', { themeId, difficulty, results });
             
+            const mode = results.mode || 'classic';
+            
             const progressRef = db.collection('users')
                 .doc(this.userId)
                 .collection('progress')
-                .doc(`${themeId}_${difficulty}`);
+                .doc(this.getProgressDocId(themeId, difficulty, mode));
             
             // Получаем текущий прогресс
             const doc = await progressRef.get();
@@ -66,6 +78,7 @@ class ProgressManager {
                 version: PROGRESS_DATA_VERSION,  // ← Версия данных
                 themeId: themeId,
                 difficulty: difficulty,
+                mode: mode,
                 timesPlayed: (currentData.timesPlayed || 0) + 1,
                 lastPlayed: firebase.firestore.FieldValue.serverTimestamp()
             };
@@ -82,6 +95,16 @@ class ProgressManager {
                 updates.bestCombo = results.combo;
             }
             
+            // Time-attack: лучший запас времени среди пройденных игр
+            if (mode === 'time-attack' && results.completed &&
+                (currentData.bestTimeLeft === undefined || results.timeLeft > currentData.bestTimeLeft)) {
+                updates.bestTimeLeft = results.timeLeft;
+            }
+            
+            // Подсказки: за последнюю игру и всего
+            updates.lastHintsUsed = results.hintsUsed || 0;
+            updates.totalHintsUsed = firebase.firestore.FieldValue.increment(results.hintsUsed || 0);
+            
             if (results.completed) {
                 updates.completed = true;
                 updates.completedAt = firebase.firestore.FieldValue.serverTimestamp();
@@ -99,6 +122,248 @@ class ProgressManager {
         }
     }
     
+    /**
+     * ═══════════════════════════════════════════════════════════
+     * ИНТЕРВАЛЬНОЕ ПОВТОРЕНИЕ (users/{uid}/mastery/{themeId})
+     * ═══════════════════════════════════════════════════════════
+     */
+    
+    /**
+     * Учесть результаты партии по парам (коробки Лейтнера)
+     * @param {Array} pairResults - GameModel.getPairResults()
+     */
+    async saveMastery(themeId, pairResults) {
+        if (!this.userId || pairResults.length === 0) return;
+        
+        try {
+            const masteryRef = db.collection('users')
+                .doc(this.userId)
+                .collection('mastery')
+                .doc(themeId);
+            
+            const doc = await masteryRef.get();
+            const pairs = doc.exists ? (doc.data().pairs || {}) : {};
+            
+            const schedule = new SpacedRepetition();
+            const now = Date.now();
+            
+            // Одна запись на пару - варианты одной пары не двигают её по коробкам несколько раз
+            const results = schedule.groupByPair(pairResults);
+            results.forEach(result => {
+                pairs[result.pairId] = schedule.applyResult(pairs[result.pairId] || null, result, now);
+            });
+            
+            await masteryRef.set({
+                version: PROGRESS_DATA_VERSION,
+                themeId: themeId,
+                pairs: pairs,
+                updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+            });
+            
+            console.log(`✅ Повторение: обновлено пар ${results.length}`);
+            
+        } catch (error) {
+            console.error('❌ Ошибка сохранения повторения:', error);
+        }
+    }
+    
+    /**
+     * Записи повторения по парам темы
+     * @returns {Object} { [pairId]: entry } (пустой если не играл или гость)
+     */
+    async getMastery(themeId) {
+        if (!this.userId) return {};
+        
+        try {
+            const doc = await db.collection('users')
+                .doc(this.userId)
+                .collection('mastery')
+                .doc(themeId)
+                .get();
+            
+            return doc.exists ? (doc.data().pairs || {}) : {};
+            
+        } catch (error) {
+            console.error('❌ Ошибка получения повторения:', error);
+            return {};
+        }
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════
+     * БЕСКОНЕЧНЫЙ РЕЖИМ
+     * ═══════════════════════════════════════════════════════════
+     */
+    
+    /**
+     * ID документа рекорда серии - один на тему, без сложности
+     */
+    getEndlessDocId(themeId) {
+        return `${themeId}_endless`;
+    }
+    
+    /**
+     * Сохранить длину серии бесконечной игры (личный рекорд по теме)
+     * @param {number} difficulty - Стартовая сложность
+     * @returns {Object|null} { bestStreak, isNewBest }
+     */
+    async saveEndlessResult(themeId, difficulty, results) {
+        if (!this.userId) {
+            console.log('⚠️ Пользователь не вошёл - серия не сохраняется');
+            return null;
+        }
+        
+        try {
+            const endlessRef = db.collection('users')
+                .doc(this.userId)
+                .collection('progress')
+                .doc(this.getEndlessDocId(themeId));
+            
+            const doc = await endlessRef.get();
+            const currentData = doc.exists ? doc.data() : {};
+            
+            const streak = results.streak || 0;
+            const isNewBest = streak > (currentData.bestStreak || 0);
+            
+            const updates = {
+                version: PROGRESS_DATA_VERSION,
+                themeId: themeId,
+                mode: 'endless',
+                timesPlayed: (currentData.timesPlayed || 0) + 1,
+                lastStreak: streak,
+                lastPlayed: firebase.firestore.FieldValue.serverTimestamp()
+            };
+            
+            if (isNewBest) {
+                updates.bestStreak = streak;
+                updates.bestStreakDifficulty = difficulty;
+                updates.bestStreakAt = firebase.firestore.FieldValue.serverTimestamp();
+            }
+            
+            await endlessRef.set(updates, { merge: true });
+            await this.updateStats(results);
+            
+            console.log(`✅ Серия ${streak} сохранена${isNewBest ? ' (новый рекорд!)' : ''}`);
+            return { bestStreak: isNewBest ? streak : currentData.bestStreak, isNewBest };
+            
+        } catch (error) {
+            console.error('❌ Ошибка сохранения серии:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Рекорд серии по теме (null если не играл)
+     */
+    async getEndlessBest(themeId) {
+        if (!this.userId) return null;
+        
+        try {
+            const doc = await db.collection('users')
+                .doc(this.userId)
+                .collection('progress')
+                .doc(this.getEndlessDocId(themeId))
+                .get();
+            
+            return doc.exists ? (doc.data().bestStreak || 0) : null;
+            
+        } catch (error) {
+            console.error('❌ Ошибка получения рекорда серии:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════
+     * ЕЖЕДНЕВНОЕ ИСПЫТАНИЕ
+     * ═══════════════════════════════════════════════════════════
+     */
+    
+    /**
+     * Сохранить результат испытания дня (засчитывается только первая попытка)
+     * @param {Object} daily - { dateKey, number }
+     * @returns {boolean} true если результат записан
+     */
+    async saveDailyResult(daily, themeId, difficulty, results) {
+        if (!this.userId) {
+            console.log('⚠️ Пользователь не вошёл - испытание не сохраняется');
+            return false;
+        }
+        
+        try {
+            const dailyRef = db.collection('users')
+                .doc(this.userId)
+                .collection('dailies')
+                .doc(daily.dateKey);
+            
+            const doc = await dailyRef.get();
+            if (doc.exists) {
+                console.log(`⚠️ Daily #${daily.number} уже сыгран - повтор не засчитывается`);
+                return false;
+            }
+            
+            // Документ испытания и счётчик испытаний в профиле - одной записью
+            const batch = db.batch();
+            batch.set(dailyRef, {
+                version: PROGRESS_DATA_VERSION,
+                dateKey: daily.dateKey,
+                number: daily.number,
+                themeId: themeId,
+                difficulty: difficulty,
+                score: results.score,
+                accuracy: results.accuracy,
+                maxCombo: results.maxCombo,
+                hintsUsed: results.hintsUsed || 0,
+                duration: results.duration,
+                completed: !!results.completed,
+                playedAt: firebase.firestore.FieldValue.serverTimestamp()
+            });
+            batch.update(db.collection('users').doc(this.userId), {
+                'stats.dailiesPlayed': firebase.firestore.FieldValue.increment(1)
+            });
+            await batch.commit();
+            
+            await this.updateStats(results);
+            
+            console.log(`✅ Daily #${daily.number} сохранён`);
+            return true;
+            
+        } catch (error) {
+            console.error('❌ Ошибка сохранения испытания:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Результат испытания за дату (null если не играл)
+     */
+    async getDailyResult(dateKey) {
+        if (!this.userId) return null;
+        
+        try {
+            const doc = await db.collection('users')
+                .doc(this.userId)
+                .collection('dailies')
+                .doc(dateKey)
+                .get();
+            
+            return doc.exists ? doc.data() : null;
+            
+        } catch (error) {
+            console.error('❌ Ошибка получения испытания:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Сколько испытаний сыграно за всё время (0 если гость или ошибка)
+     * Счётчик stats.dailiesPlayed ведёт saveDailyResult - подколлекцию не читаем
+     */
+    async getDailyCount() {
+        const stats = await this.getStats();
+        return (stats && stats.dailiesPlayed) || 0;
+    }
+    
     /**
      * Обновление общей статистики
      */
@@ -110,6 +375,7 @@ class ProgressManager {
             'stats.totalCorrect': firebase.firestore.FieldValue.increment(results.correct || 0),
             'stats.totalIncorrect': firebase.firestore.FieldValue.increment(results.incorrect || 0),
             'stats.totalCombo': firebase.firestore.FieldValue.increment(results.combo || 0),
+            'stats.totalHints': firebase.firestore.FieldValue.increment(results.hintsUsed || 0),
             'stats.totalPlayTime': firebase.firestore.FieldValue.increment(results.duration || 0)
         });
     }
@@ -124,8 +390,9 @@ class ProgressManager {
      * Получить прогресс по теме
      * @param {string} themeId - ID темы
      * @param {number} difficulty - Сложность (опционально, если указана - вернёт только для этой сложности)
+     * @param {string} mode - Режим игры (по умолчанию классика)
      */
-    async getThemeProgress(themeId, difficulty = null) {
+    async getThemeProgress(themeId, difficulty = null, mode = 'classic') {
         if (!this.userId) return difficulty !== null ? null : {};
         
         try {
@@ -136,7 +403,7 @@ class ProgressManager {
             
             // Если указана конкретная сложность
             if (difficulty !== null) {
-                const docId = `${themeId}_${difficulty}`;
+                const docId = this.getProgressDocId(themeId, difficulty, mode);
                 const doc = await db.collection('users')
                     .doc(this.userId)
                     .collection('progress')
@@ -162,7 +429,10 @@ class ProgressManager {
             const progress = {};
             snapshot.forEach(doc => {
                 const data = doc.data();
-                progress[data.difficulty] = data;
+                // Документы без mode - классика (до появления режимов)
+                if ((data.mode || 'classic') === mode) {
+                    progress[data.difficulty] = data;
+                }
             });
             
             return progress;
@@ -0,0 +1,233 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * QUIZ MODEL - Викторина: вопрос и четыре варианта ответа
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * Вопрос - левый текст пары, варианты - её правый вариант и три
+ * правых варианта других пар той же сложности (не хватило - соседней,
+ * см. DifficultyDistribution.getFallbackOrder).
+ *
+ * Всё остальное - от GameModel: подбор пар (selectCardsForGame),
+ * перемешивание, очки, журнал ходов и итоги. Ответ на вопрос -
+ * это applyMatch / applyMismatch его левой и правой карточек,
+ * а на "доске" лежат только карточки текущего вопроса.
+ */
+
+// Вариантов ответа в вопросе (правильный + отвлекающие)
+const QUIZ_OPTIONS_COUNT = 4;
+
+class QuizModel extends GameModel {
+    /**
+     * @param {Object} options - Как у GameModel
+     */
+    constructor(options = {}) {
+        super(options);
+
+        this.mode = 'quiz';
+
+        /**
+         * questions - Вопросы партии по порядку
+         * Структура: {pairId, leftCardId, rightCardId, stem, options, correctIndex, description}
+         */
+        this.questions = [];
+        this.questionIndex = 0;
+    }
+
+    /**
+     * Подобрать пары и составить вопросы
+     * @param {Array} pairs - Пары темы
+     * @param {Object} distribution - { easy: N, medium: N, hard: N }
+     */
+    initializeQuiz(pairs, distribution) {
+        console.log(`❓ Викторина: ${pairs.length} пар источника`);
+
+        const selectedPairs = this.selectCardsForGame(pairs, distribution);
+
+        if (selectedPairs.length === 0) {
+            throw new Error('Не удалось подобрать вопросы для викторины');
+        }
+
+        // Отвлекающие варианты берутся из всей темы, а не только из партии
+        const pools = this.buildDifficultyPools(pairs);
+
+        this.cards = [];
+        this.questions = selectedPairs.map((pair, index) => {
+            const [left, right] = this.createPairCards(pair, index);
+            this.cards.push(left, right);
+
+            const options = this.shuffle([pair.rightText, ...this.pickDistractors(pair, pools)]);
+
+            return {
+                pairId: pair.pairId,
+                leftCardId: left.id,
+                rightCardId: right.id,
+                stem: pair.leftText,
+                options,
+                correctIndex: options.indexOf(pair.rightText),
+                description: pair.rightDescription || null
+            };
+        });
+
+        this.totalPairs = this.questions.length;
+        this.dealtPairsCount = this.questions.length;
+        this.questionIndex = 0;
+        this.dealQuestion();
+
+        console.log(`✅ Составлено вопросов: ${this.questions.length}`);
+    }
+
+    /**
+     * Отвлекающие варианты для пары: правые варианты других пар
+     * Пропускаем те, что тоже верны для вопроса (alsoMatches),
+     * и совпадающие по тексту с правильными или друг с другом
+     * @param {Object} pair - Пара из selectCardsForGame
+     * @param {Object} pools - Пулы из buildDifficultyPools
+     * @returns {Array} До QUIZ_OPTIONS_COUNT - 1 текстов
+     */
+    pickDistractors(pair, pools) {
+        const needed = QUIZ_OPTIONS_COUNT - 1;
+        const taken = new Set(pair.rightVariants.map(text => TextMatching.normalize(text)));
+        const distractors = [];
+
+        const difficulties = [
+            pair.rightDifficulty,
+            ...DifficultyDistribution.getFallbackOrder(pair.rightDifficulty)
+        ];
+
+        difficulties.forEach(diff => {
+            if (distractors.length >= needed) return;
+
+            this.shuffle(pools[diff]).forEach(candidate => {
+                const key = TextMatching.normalize(candidate.rightText);
+
+                if (distractors.length >= needed ||
+                    candidate.pairId === pair.pairId ||
+                    candidate.rightAlsoMatches.includes(pair.pairId) ||
+                    taken.has(key)) {
+                    return;
+                }
+
+                taken.add(key);
+                distractors.push(candidate.rightText);
+            });
+        });
+
+        if (distractors.length < needed) {
+            console.warn(`⚠️ Для "${pair.leftText}" нашлось только ${distractors.length} отвлекающих вариантов`);
+        }
+
+        return distractors;
+    }
+
+    /**
+     * Текущий вопрос или null, если вопросы кончились
+     */
+    getCurrentQuestion() {
+        return this.questions[this.questionIndex] || null;
+    }
+
+    /**
+     * На доску - карточки текущего вопроса, остальные ждут в пуле
+     */
+    dealQuestion() {
+        const question = this.getCurrentQuestion();
+        const current = question ? [question.leftCardId, question.rightCardId] : [];
+
+        this.getSides().forEach(side => {
+            const cards = this.cards.filter(c => c.side === side);
+            this.boardCards[side] = cards.filter(c => current.includes(c.id));
+            this.poolCards[side] = cards.filter(c => c.state === 'pool' && !current.includes(c.id));
+        });
+
+        this.getAllBoardCards().forEach(c => {
+            c.state = 'active';
+        });
+    }
+
+    /**
+     * Ответить на текущий вопрос
+     * @param {number} optionIndex - Номер выбранного варианта
+     * @returns {Object} { success, isCorrect, correctIndex, question } или { success: false, error }
+     */
+    answerQuestion(optionIndex) {
+        const question = this.getCurrentQuestion();
+
+        if (!question) {
+            return { success: false, error: 'NO_QUESTION' };
+        }
+
+        if (!Number.isInteger(optionIndex) || optionIndex < 0 || optionIndex >= question.options.length) {
+            console.warn('⚠️ Нет такого варианта:', optionIndex);
+            return { success: false, error: 'BAD_OPTION' };
+        }
+
+        const answer = { text: question.options[optionIndex], optionIndex };
+        const isCorrect = optionIndex === question.correctIndex;
+
+        if (isCorrect) {
+            console.log(`✅ Верно: "${question.stem}" → "${answer.text}"`);
+            this.applyMatch(question.leftCardId, question.rightCardId, answer);
+        } else {
+            console.log(`❌ Неверно: "${question.stem}" → "${answer.text}"`);
+            this.applyMismatch(question.leftCardId, question.rightCardId, answer);
+            this.cards
+                .filter(c => c.id === question.leftCardId || c.id === question.rightCardId)
+                .forEach(c => { c.state = 'missed'; });
+        }
+
+        // Следующий вопрос - сразу: на неверный ответ второй попытки нет
+        this.questionIndex++;
+        this.dealQuestion();
+
+        return { success: true, isCorrect, correctIndex: question.correctIndex, question };
+    }
+
+    /**
+     * Игра закончена, когда отвечены все вопросы (верно или нет)
+     */
+    isGameFinished() {
+        return this.questions.length > 0 && this.questionIndex >= this.questions.length;
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // СОХРАНЕНИЕ ПАРТИИ
+    // ═══════════════════════════════════════════════════════════
+
+    serialize(now = Date.now()) {
+        const snapshot = super.serialize(now);
+        if (!snapshot) return null;
+
+        return {
+            ...snapshot,
+            questions: this.questions,
+            questionIndex: this.questionIndex
+        };
+    }
+
+    /**
+     * Восстанавливается только снимок викторины
+     */
+    restore(snapshot, pairs, now = Date.now()) {
+        if (!snapshot || snapshot.mode !== 'quiz' || !Array.isArray(snapshot.questions)) {
+            console.warn('⚠️ Снимок не от викторины');
+            return false;
+        }
+
+        if (!super.restore(snapshot, pairs, now)) return false;
+
+        this.questions = snapshot.questions;
+        this.questionIndex = snapshot.questionIndex;
+        return true;
+    }
+
+    reset() {
+        super.reset();
+        this.questions = [];
+        this.questionIndex = 0;
+    }
+}
+
+// Экспорт для тестирования
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuizModel;
+}
@@ -0,0 +1,57 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * SEEDED RANDOM - Детерминированный генератор случайных чисел
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * Один и тот же seed всегда даёт одну и ту же последовательность.
+ * Используется GameModel вместо Math.random, чтобы любую партию
+ * можно было воспроизвести (баг-репорты, общие челленджи).
+ *
+ * Алгоритм: FNV-1a (строка → 32 бита) + mulberry32 (генератор)
+ */
+
+class SeededRandom {
+    /**
+     * @param {string|number} seed - Любая строка или число
+     */
+    constructor(seed) {
+        this.seed = String(seed);
+        this.state = this.hashSeed(this.seed);
+    }
+
+    /**
+     * FNV-1a хэш строки в беззнаковое 32-битное число
+     */
+    hashSeed(str) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Следующее число в диапазоне [0, 1) - аналог Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Сгенерировать новый seed для партии без явного seed
+     * (короткая строка, удобная для копирования из URL)
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0xFFFFFFFF).toString(36);
+    }
+}
+
+// Экспорт для тестирования
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+}
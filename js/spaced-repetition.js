@@ -0,0 +1,136 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * SPACED REPETITION - Интервальное повторение пар (коробки Лейтнера)
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * Каждая пара лежит в одной из коробок 1..N:
+ * - пара найдена без ошибок → в следующую коробку
+ * - была ошибка → обратно в первую
+ * Чем дальше коробка, тем реже пара нужна к повторению.
+ *
+ * Запись о паре (mastery entry):
+ * { box, dueAt, attempts, misses, lastSeen, variants: { [text]: { attempts, misses } } }
+ * Время - миллисекунды (Date.now()).
+ */
+
+// Интервал повторения для коробок 1..5, в днях
+const LEITNER_INTERVALS_DAYS = [1, 2, 4, 8, 16];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SpacedRepetition {
+    /**
+     * @param {Array} intervals - Интервалы коробок в днях
+     */
+    constructor(intervals = LEITNER_INTERVALS_DAYS) {
+        this.intervals = intervals;
+    }
+
+    get maxBox() {
+        return this.intervals.length;
+    }
+
+    /**
+     * Итоги партии по вариантам (GameModel.getPairResults) → по парам
+     * Пара за партию сдвигается на одну коробку, сколько бы вариантов ни встретилось:
+     * ошибка хотя бы в одном варианте - ошибка по паре
+     * @returns {Array} [{ pairId, attempts, misses, variants: [{ variant, attempts, misses }] }]
+     */
+    groupByPair(pairResults) {
+        const byPair = new Map();
+
+        pairResults.forEach(result => {
+            if (!byPair.has(result.pairId)) {
+                byPair.set(result.pairId, { pairId: result.pairId, attempts: 0, misses: 0, variants: [] });
+            }
+
+            const pair = byPair.get(result.pairId);
+            pair.attempts += result.attempts;
+            pair.misses += result.misses;
+            if (result.variant) pair.variants.push(result);
+        });
+
+        return [...byPair.values()];
+    }
+
+    /**
+     * Учесть результат пары за партию
+     * @param {Object|null} entry - Текущая запись (null - пара новая)
+     * @param {Object} result - { attempts, misses, variants } из groupByPair
+     *                          (или один вариант { variant, attempts, misses })
+     * @returns {Object} Новая запись
+     */
+    applyResult(entry, result, now = Date.now()) {
+        const current = entry || { box: 0, attempts: 0, misses: 0, variants: {} };
+        const isCorrect = result.misses === 0;
+
+        const box = isCorrect ? Math.min(this.maxBox, current.box + 1) : 1;
+
+        const variants = { ...(current.variants || {}) };
+        const variantResults = result.variants || (result.variant ? [result] : []);
+        variantResults.forEach(({ variant: text, attempts, misses }) => {
+            const variant = variants[text] || { attempts: 0, misses: 0 };
+            variants[text] = {
+                attempts: variant.attempts + attempts,
+                misses: variant.misses + misses
+            };
+        });
+
+        return {
+            box,
+            dueAt: now + this.intervals[box - 1] * DAY_MS,
+            attempts: current.attempts + result.attempts,
+            misses: current.misses + result.misses,
+            lastSeen: now,
+            variants
+        };
+    }
+
+    isDue(entry, now = Date.now()) {
+        return !entry || entry.dueAt <= now;
+    }
+
+    /**
+     * Срочность повторения пары (больше - раньше в игру)
+     * 2+ - пора повторить (чем дольше просрочена и чем ниже коробка, тем выше),
+     * 1 - пара ещё ни разу не встречалась,
+     * 0..1 - повторять рано (ближе к сроку - выше)
+     */
+    getPriority(entry, now = Date.now()) {
+        if (!entry) return 1;
+
+        if (entry.dueAt <= now) {
+            const overdueDays = (now - entry.dueAt) / DAY_MS;
+            return 2 + overdueDays + (this.maxBox - entry.box);
+        }
+
+        const intervalMs = this.intervals[entry.box - 1] * DAY_MS;
+        return Math.max(0, 1 - (entry.dueAt - now) / intervalMs);
+    }
+
+    /**
+     * Приоритеты всех пар темы для GameModel.selectCardsForGame
+     * @param {Array} pairIds - ID пар темы
+     * @param {Object} mastery - { [pairId]: entry }
+     * @returns {Object} { [pairId]: priority }
+     */
+    getPriorities(pairIds, mastery, now = Date.now()) {
+        const priorities = {};
+        pairIds.forEach(pairId => {
+            priorities[pairId] = this.getPriority(mastery[pairId] || null, now);
+        });
+        return priorities;
+    }
+
+    /**
+     * Сколько встречавшихся пар пора повторить
+     */
+    countDue(mastery, now = Date.now()) {
+        return Object.values(mastery).filter(entry => this.isDue(entry, now)).length;
+    }
+}
+
+// Экспорт для тестирования
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpacedRepetition;
+}
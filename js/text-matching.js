@@ -0,0 +1,108 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * TEXT MATCHING - Нечёткая проверка введённого ответа (режим recall)
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * Прощается:
+ * - регистр, ё/е, знаки препинания и лишние пробелы ("нью-йорк" = "Нью Йорк")
+ * - небольшие опечатки: пропуск, лишняя, заменённая или переставленная буква
+ *   (допуск зависит от длины ответа, см. TYPO_TOLERANCE)
+ *
+ * Числа опечаток не прощают: "1945" и "1946" - разные ответы.
+ */
+
+// Сколько опечаток допустимо для ответа длины до maxLength (после нормализации)
+const TYPO_TOLERANCE = [
+    { maxLength: 3, typos: 0 },
+    { maxLength: 7, typos: 1 },
+    { maxLength: Infinity, typos: 2 }
+];
+
+class TextMatching {
+    /**
+     * Привести текст к виду для сравнения
+     */
+    static normalize(text) {
+        return String(text ?? '')
+            .toLowerCase()
+            .replace(/ё/g, 'е')
+            .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Расстояние редактирования с перестановкой соседних букв
+     * (optimal string alignment: "мсокава" → "москва" - одна опечатка)
+     */
+    static distance(a, b) {
+        const rows = a.length + 1;
+        const cols = b.length + 1;
+        const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+        for (let j = 0; j < cols; j++) d[0][j] = j;
+
+        for (let i = 1; i < rows; i++) {
+            for (let j = 1; j < cols; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                d[i][j] = Math.min(
+                    d[i - 1][j] + 1,        // лишняя буква
+                    d[i][j - 1] + 1,        // пропущенная буква
+                    d[i - 1][j - 1] + cost  // замена
+                );
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);  // перестановка
+                }
+            }
+        }
+
+        return d[rows - 1][cols - 1];
+    }
+
+    /**
+     * Сколько опечаток простить в ответе
+     * @param {string} normalized - Нормализованный правильный ответ
+     */
+    static getTypoLimit(normalized) {
+        return TYPO_TOLERANCE.find(level => normalized.length <= level.maxLength).typos;
+    }
+
+    /**
+     * Оценить ответ игрока
+     * @param {string} input - Что ввёл игрок
+     * @param {Array} variants - Все правильные ответы (rights пары)
+     * @returns {Object} { isMatch, exact, matchedText, distance }
+     *   exact - совпало без опечаток (с точностью до нормализации),
+     *   matchedText - ближайший вариант (null, если ввод пустой)
+     */
+    static grade(input, variants) {
+        const answer = TextMatching.normalize(input);
+        const miss = { isMatch: false, exact: false, matchedText: null, distance: null };
+
+        if (!answer || !Array.isArray(variants) || variants.length === 0) return miss;
+
+        const digits = text => text.replace(/\D/g, '');
+        let best = null;
+
+        variants.forEach(text => {
+            const variant = TextMatching.normalize(text);
+            if (!variant) return;
+
+            const distance = TextMatching.distance(answer, variant);
+            const isMatch = distance <= TextMatching.getTypoLimit(variant) &&
+                digits(answer) === digits(variant);
+
+            // Засчитанный вариант важнее ближайшего незасчитанного
+            if (!best || (isMatch && !best.isMatch) ||
+                (isMatch === best.isMatch && distance < best.distance)) {
+                best = { isMatch, exact: distance === 0, matchedText: text, distance };
+            }
+        });
+
+        return best || miss;
+    }
+}
+
+// Экспорт для тестирования
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TextMatching;
+}
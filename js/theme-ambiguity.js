@@ -0,0 +1,158 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * THEME AMBIGUITY - Поиск неразличимых карточек в теме
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * Если у двух пар одинаковый правый текст ("Анна Каренина" и
+ * "Анна  Каренина"), игрок не может понять, какая карточка к какой
+ * левой: cardsMatch примет только одну из них.
+ *
+ * Тексты сравниваются после TextMatching.normalize:
+ * - exact - совпали после нормализации (регистр, ё/е, пробелы, знаки)
+ * - fuzzy - отличаются на опечатку (допуск TextMatching.getTypoLimit
+ *   по более короткому тексту, числа должны совпадать)
+ *
+ * Сравниваются карточки одной колонки из разных пар. Правые варианты,
+ * которые через alsoMatches подходят к левым друг друга, неоднозначными
+ * не считаются - их можно класть куда угодно.
+ *
+ * analyze - отчёт по всей теме (scripts/lint-themes.js),
+ * conflicts - проверка двух выбранных пар (GameModel.selectCardsForGame),
+ * countDroppable - насколько партия может выйти короче (scripts/build-catalog.js).
+ */
+
+class ThemeAmbiguity {
+    /**
+     * Похожи ли тексты до неразличимости
+     * @returns {string|null} 'exact', 'fuzzy' или null
+     */
+    static compare(textA, textB) {
+        const a = TextMatching.normalize(textA);
+        const b = TextMatching.normalize(textB);
+
+        if (!a || !b) return null;
+        if (a === b) return 'exact';
+
+        const limit = TextMatching.getTypoLimit(a.length < b.length ? a : b);
+        if (limit === 0 || Math.abs(a.length - b.length) > limit) return null;
+
+        const digits = text => text.replace(/\D/g, '');
+        if (digits(a) !== digits(b)) return null;
+
+        return TextMatching.distance(a, b) <= limit ? 'fuzzy' : null;
+    }
+
+    /**
+     * Правые варианты подходят к левым друг друга - путать нечего
+     */
+    static sharesMatches(idA, alsoMatchesA, idB, alsoMatchesB) {
+        return (alsoMatchesA || []).includes(idB) && (alsoMatchesB || []).includes(idA);
+    }
+
+    /**
+     * Все неоднозначности темы
+     * @param {Array} pairs - Пары темы (формат файла: id, left, middle, rights)
+     * @returns {Array} [{ kind, column, a, b }] - a и b: { pairId, text, path }
+     */
+    static analyze(pairs) {
+        const cards = { left: [], middle: [], right: [] };
+
+        pairs.forEach((pair, index) => {
+            const path = `$.pairs[${index}]`;
+            cards.left.push({ pairId: pair.id, text: pair.left, path: `${path}.left` });
+
+            if (pair.middle) {
+                cards.middle.push({ pairId: pair.id, text: pair.middle, path: `${path}.middle` });
+            }
+
+            (pair.rights || []).forEach((right, rightIndex) => {
+                cards.right.push({
+                    pairId: pair.id,
+                    text: right.text,
+                    alsoMatches: right.alsoMatches,
+                    path: `${path}.rights[${rightIndex}].text`
+                });
+            });
+        });
+
+        const collisions = [];
+
+        Object.entries(cards).forEach(([column, list]) => {
+            list.forEach((a, i) => {
+                list.slice(i + 1).forEach(b => {
+                    if (a.pairId === b.pairId) return;
+                    if (ThemeAmbiguity.sharesMatches(a.pairId, a.alsoMatches, b.pairId, b.alsoMatches)) return;
+
+                    const kind = ThemeAmbiguity.compare(a.text, b.text);
+                    if (kind) {
+                        collisions.push({
+                            kind,
+                            column,
+                            a: { pairId: a.pairId, text: a.text, path: a.path },
+                            b: { pairId: b.pairId, text: b.text, path: b.path }
+                        });
+                    }
+                });
+            });
+        });
+
+        return collisions;
+    }
+
+    /**
+     * Сколько пар selectCardsForGame может не взять в партию из-за
+     * неоднозначностей (оценка сверху): пара пропускается, только если путается
+     * с уже взятой, поэтому из каждой группы путающихся пар одна остаётся
+     * @param {Array} pairs - Пары темы (формат файла)
+     */
+    static countDroppable(pairs) {
+        // Группы путающихся пар: pairId → корень группы
+        const parent = new Map();
+        const find = id => {
+            while (parent.get(id) !== id) id = parent.get(id);
+            return id;
+        };
+
+        ThemeAmbiguity.analyze(pairs).forEach(({ a, b }) => {
+            [a.pairId, b.pairId].forEach(id => {
+                if (!parent.has(id)) parent.set(id, id);
+            });
+            parent.set(find(a.pairId), find(b.pairId));
+        });
+
+        const groups = new Set([...parent.keys()].map(find));
+        return parent.size - groups.size;
+    }
+
+    /**
+     * Можно ли выложить две выбранные пары в одну партию
+     * @param {Object} a - Пара в формате selectCardsForGame
+     * @param {Object} b - Пара в формате selectCardsForGame
+     * @returns {boolean} true - какие-то их карточки неразличимы
+     */
+    static conflicts(a, b) {
+        if (a.pairId === b.pairId) return false;
+
+        if (ThemeAmbiguity.compare(a.leftText, b.leftText)) return true;
+
+        if (a.middleText && b.middleText && ThemeAmbiguity.compare(a.middleText, b.middleText)) {
+            return true;
+        }
+
+        return !ThemeAmbiguity.sharesMatches(a.pairId, a.rightAlsoMatches, b.pairId, b.rightAlsoMatches) &&
+            ThemeAmbiguity.compare(a.rightText, b.rightText) !== null;
+    }
+
+    /**
+     * Неоднозначность одной строкой для отчёта
+     */
+    static formatCollision({ kind, a, b }) {
+        const label = kind === 'exact' ? 'совпадает с' : 'похоже на';
+        return `"${b.text}" ${label} "${a.text}" (${a.path})`;
+    }
+}
+
+// Экспорт для тестирования
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThemeAmbiguity;
+}
@@ -0,0 +1,309 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * THEME CSV - Таблица (CSV/TSV) ↔ пары темы
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * Одна строка таблицы - один вариант правой карточки:
+ *
+ *   id | left   | middle | right           | difficulty | description | alsoMatches
+ *   1  | Россия | 🇷🇺     | Москва          | 1          | Столица...  |
+ *   1  | Россия | 🇷🇺     | Санкт-Петербург | 1          | ...         |
+ *
+ * Обязательные колонки - left и right, остальные можно не заводить.
+ * Строки с одинаковым left собираются в одну пару (rights - в порядке строк).
+ * Пустой id - следующий свободный номер, пустая difficulty - 1.
+ * alsoMatches - id пар через запятую.
+ *
+ * Разделитель определяется по заголовку: табуляция, ";" (Excel с русской
+ * локалью) или ",". Значения в кавычках могут содержать разделитель,
+ * кавычки ("") и переводы строк.
+ *
+ * Модуль без зависимостей от Node - работает и в браузере.
+ * Командная строка - scripts/theme-csv.js.
+ */
+
+// Колонки экспорта (middle и alsoMatches - только если они есть в теме)
+const CSV_COLUMNS = ['id', 'left', 'middle', 'right', 'difficulty', 'description', 'alsoMatches'];
+
+// Русские названия колонок для таблиц, которые заводят авторы
+const CSV_COLUMN_ALIASES = {
+    'слева': 'left',
+    'середина': 'middle',
+    'справа': 'right',
+    'сложность': 'difficulty',
+    'описание': 'description'
+};
+
+// Сложность варианта, если колонки нет или ячейка пустая
+const CSV_DEFAULT_DIFFICULTY = 1;
+
+class ThemeCsv {
+    /**
+     * Разобрать текст таблицы
+     * @param {string} text - Содержимое CSV/TSV
+     * @param {string} [delimiter] - Разделитель (по умолчанию - по заголовку)
+     * @returns {Object} { delimiter, rows } - rows: [{ line, cells }]
+     * @throws {Error} Незакрытая кавычка
+     */
+    static parse(text, delimiter) {
+        const source = text.replace(/^\uFEFF/, '');
+        const separator = delimiter || ThemeCsv.detectDelimiter(source);
+        const rows = [];
+
+        let cells = [];
+        let cell = '';
+        let quoted = false;
+        let line = 1;
+        let rowLine = 1;
+
+        const endCell = () => {
+            cells.push(cell);
+            cell = '';
+        };
+        const endRow = () => {
+            endCell();
+            // Пустые строки (в том числе ",,,," из таблиц) пропускаются
+            if (cells.some(value => value.trim() !== '')) {
+                rows.push({ line: rowLine, cells });
+            }
+            cells = [];
+        };
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    if (char === '\n') line++;
+                    cell += char;
+                }
+                continue;
+            }
+
+            if (char === '"' && cell.trim() === '') {
+                quoted = true;
+                cell = '';
+            } else if (char === separator) {
+                endCell();
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                endRow();
+                line++;
+                rowLine = line;
+            } else {
+                cell += char;
+            }
+        }
+
+        if (quoted) {
+            throw new Error(`строка ${rowLine}: кавычка не закрыта`);
+        }
+        if (cell !== '' || cells.length > 0) endRow();
+
+        return { delimiter: separator, rows };
+    }
+
+    /**
+     * Разделитель по первой строке
+     */
+    static detectDelimiter(text) {
+        const header = text.split(/\r?\n/, 1)[0];
+        if (header.includes('\t')) return '\t';
+
+        const count = char => header.split(char).length - 1;
+        return count(';') > count(',') ? ';' : ',';
+    }
+
+    /**
+     * Собрать текст таблицы
+     * @param {Array<Array<string>>} rows - Строки с заголовком
+     */
+    static stringify(rows, delimiter = ',') {
+        const needsQuotes = value => value.includes(delimiter) || /["\r\n]/.test(value) ||
+            value !== value.trim();
+
+        return rows.map(cells => cells.map(value => {
+            const text = value === undefined || value === null ? '' : String(value);
+            return needsQuotes(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join(delimiter)).join('\n') + '\n';
+    }
+
+    /**
+     * Таблица → тема
+     * @param {string} text - Содержимое CSV/TSV
+     * @param {Object} [base] - Тема, поля которой сохраняются (id, title, колонки...);
+     *                          её pairs заменяются парами из таблицы
+     * @returns {Object} { themeData, errors, warnings } - проблемы вида { path, message },
+     *                   path - номер строки таблицы; themeData = null, если таблицу не разобрать
+     */
+    static importTheme(text, base = {}) {
+        const errors = [];
+        const warnings = [];
+        let table;
+
+        try {
+            table = ThemeCsv.parse(text);
+        } catch (error) {
+            errors.push({ path: 'таблица', message: error.message });
+            return { themeData: null, errors, warnings };
+        }
+
+        const [header, ...records] = table.rows;
+        const columns = header ? ThemeCsv.readHeader(header, warnings) : {};
+
+        ['left', 'right'].forEach(name => {
+            if (columns[name] === undefined) {
+                errors.push({ path: 'строка 1', message: `нет колонки "${name}"` });
+            }
+        });
+        if (errors.length > 0) {
+            return { themeData: null, errors, warnings };
+        }
+
+        const themeData = { ...base, pairs: ThemeCsv.groupRows(records, columns, errors, warnings) };
+        return { themeData, errors, warnings };
+    }
+
+    /**
+     * Номера колонок по заголовку: { left: 1, right: 3, ... }
+     */
+    static readHeader(header, warnings) {
+        const columns = {};
+
+        header.cells.forEach((cell, index) => {
+            const title = cell.trim();
+            const name = CSV_COLUMNS.find(column => column.toLowerCase() === title.toLowerCase()) ||
+                CSV_COLUMN_ALIASES[title.toLowerCase()];
+
+            if (!name) {
+                if (title !== '') {
+                    warnings.push({ path: `строка ${header.line}`, message: `колонка "${title}" не знакома - пропущена` });
+                }
+                return;
+            }
+            if (columns[name] !== undefined) {
+                warnings.push({ path: `строка ${header.line}`, message: `колонка "${name}" повторяется - берётся первая` });
+                return;
+            }
+            columns[name] = index;
+        });
+
+        return columns;
+    }
+
+    /**
+     * Строки таблицы → пары (группировка по left)
+     */
+    static groupRows(records, columns, errors, warnings) {
+        const pairs = [];
+        const byLeft = new Map();
+
+        const read = (record, name) => {
+            const index = columns[name];
+            return index === undefined ? '' : (record.cells[index] || '').trim();
+        };
+
+        records.forEach(record => {
+            const path = `строка ${record.line}`;
+            const left = read(record, 'left');
+            const text = read(record, 'right');
+
+            if (left === '' || text === '') {
+                errors.push({ path, message: left === '' ? 'пустой left' : 'пустой right' });
+                return;
+            }
+
+            const variant = { text, difficulty: CSV_DEFAULT_DIFFICULTY };
+            const difficulty = read(record, 'difficulty');
+            if (difficulty !== '') {
+                variant.difficulty = /^\d+$/.test(difficulty) ? Number(difficulty) : difficulty;
+            }
+            const description = read(record, 'description');
+            if (description !== '') variant.description = description;
+            const alsoMatches = read(record, 'alsoMatches');
+            if (alsoMatches !== '') {
+                variant.alsoMatches = alsoMatches.split(/[\s,;]+/).filter(Boolean).map(ThemeCsv.parseId);
+            }
+
+            const id = read(record, 'id');
+            const middle = read(record, 'middle');
+            let pair = byLeft.get(left);
+
+            if (!pair) {
+                pair = { id: id !== '' ? ThemeCsv.parseId(id) : null, left, rights: [] };
+                if (middle !== '') pair.middle = middle;
+                byLeft.set(left, pair);
+                pairs.push(pair);
+            } else {
+                if (id !== '' && pair.id !== null && ThemeCsv.parseId(id) !== pair.id) {
+                    errors.push({ path, message: `у "${left}" уже есть id ${pair.id}, здесь - ${id}` });
+                }
+                if (id !== '' && pair.id === null) pair.id = ThemeCsv.parseId(id);
+                if (middle !== '' && pair.middle !== undefined && middle !== pair.middle) {
+                    warnings.push({ path, message: `у "${left}" уже есть middle "${pair.middle}" - "${middle}" пропущен` });
+                }
+                if (middle !== '' && pair.middle === undefined) pair.middle = middle;
+            }
+
+            pair.rights.push(variant);
+        });
+
+        // Пары без id - следующие номера после самого большого числового id
+        let nextId = pairs.reduce((max, pair) => (Number.isInteger(pair.id) ? Math.max(max, pair.id) : max), 0) + 1;
+        return pairs.map(pair => {
+            const { id, left, middle, rights } = pair;
+            const result = { id: id !== null ? id : nextId++, left };
+            if (middle !== undefined) result.middle = middle;
+            result.rights = rights;
+            return result;
+        });
+    }
+
+    /**
+     * Тема → таблица
+     * @param {Object} themeData - Тема в текущем формате (после ThemeMigrations.migrate)
+     * @param {string} [delimiter] - ',' или '\t'
+     */
+    static exportTheme(themeData, delimiter = ',') {
+        const pairs = themeData.pairs || [];
+        const hasMiddle = pairs.some(pair => pair.middle !== undefined);
+        const hasAlsoMatches = pairs.some(pair => (pair.rights || []).some(right => right.alsoMatches));
+        const columns = CSV_COLUMNS.filter(column =>
+            (column !== 'middle' || hasMiddle) && (column !== 'alsoMatches' || hasAlsoMatches));
+
+        const rows = [columns];
+        pairs.forEach(pair => {
+            (pair.rights || []).forEach(right => {
+                const values = {
+                    id: pair.id,
+                    left: pair.left,
+                    middle: pair.middle,
+                    right: right.text,
+                    difficulty: right.difficulty,
+                    description: right.description,
+                    alsoMatches: right.alsoMatches ? right.alsoMatches.join(', ') : ''
+                };
+                rows.push(columns.map(column => values[column]));
+            });
+        });
+
+        return ThemeCsv.stringify(rows, delimiter);
+    }
+
+    /**
+     * "7" → 7, "ru-1" → "ru-1" (id пар бывают числами и строками)
+     */
+    static parseId(value) {
+        return /^\d+$/.test(value) ? Number(value) : value;
+    }
+}
+
+// Экспорт для тестирования
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThemeCsv;
+}
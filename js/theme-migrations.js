@@ -0,0 +1,191 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * THEME MIGRATIONS - Обновление файлов тем старых форматов
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * Версия формата - поле formatVersion в JSON темы.
+ * Без поля версия определяется по парам: есть rights - текущий формат,
+ * нет - v1.
+ *
+ * v1: у пары одна правая карточка - right, description, difficulty
+ *     (или rightCards - несколько текстов с общим описанием и сложностью);
+ *     несколько вариантов к одной левой - отдельные пары с одинаковым left,
+ *     при обновлении они сливаются в одну пару (id - у первой из них);
+ *     один и тот же правый текст у разных left подходил к каждой из них -
+ *     при обновлении такие варианты ссылаются друг на друга через alsoMatches
+ * v2: у пары массив вариантов rights: [{ text, difficulty, description }]
+ *
+ * Тема обновляется при загрузке (GameController.loadTheme,
+ * ThemeLoader.fetchThemeData), файл при этом не меняется.
+ * Переписать файлы на диске - scripts/migrate-themes.js.
+ *
+ * Новый формат = новая запись в THEME_MIGRATIONS (из версии N в N + 1)
+ * и CURRENT_THEME_FORMAT + 1.
+ */
+
+const CURRENT_THEME_FORMAT = 2;
+
+// Сложность варианта, если в v1 она не указана
+const MIGRATION_DEFAULT_DIFFICULTY = 1;
+
+const THEME_MIGRATIONS = {
+    1: themeData => {
+        const result = {
+            ...themeData,
+            pairs: ThemeMigrations.linkSharedRights(ThemeMigrations.mergePairsByLeft(
+                (themeData.pairs || []).map(pair => ThemeMigrations.migratePairV1(pair))
+            ))
+        };
+
+        // type: "one-to-many" помечал пары с rightCards - в v2 это обычные rights
+        delete result.type;
+        return result;
+    }
+};
+
+class ThemeMigrations {
+    /**
+     * Версия формата темы
+     * @returns {number|null} null - formatVersion указан, но это не номер версии
+     */
+    static getVersion(themeData) {
+        if (themeData.formatVersion !== undefined) {
+            return Number.isInteger(themeData.formatVersion) && themeData.formatVersion >= 1 ?
+                themeData.formatVersion :
+                null;
+        }
+
+        const pairs = Array.isArray(themeData.pairs) ? themeData.pairs : [];
+        const isV1 = pairs.some(pair => pair && pair.rights === undefined &&
+            (pair.right !== undefined || pair.rightCards !== undefined));
+
+        return isV1 ? 1 : CURRENT_THEME_FORMAT;
+    }
+
+    /**
+     * Привести тему к текущему формату (исходный объект не меняется)
+     * @param {Object} themeData - Разобранный JSON темы
+     * @returns {Object} { themeData, fromVersion, migrated }
+     */
+    static migrate(themeData) {
+        if (!themeData || typeof themeData !== 'object' || Array.isArray(themeData)) {
+            return { themeData, fromVersion: null, migrated: false };
+        }
+
+        const fromVersion = ThemeMigrations.getVersion(themeData);
+
+        // Некорректную версию разберёт проверка темы (theme-schema.js)
+        if (fromVersion === null) {
+            return { themeData, fromVersion, migrated: false };
+        }
+
+        if (fromVersion > CURRENT_THEME_FORMAT) {
+            throw new Error(`Тема в формате v${fromVersion}, игра знает форматы до v${CURRENT_THEME_FORMAT} - обновите игру`);
+        }
+
+        if (fromVersion === CURRENT_THEME_FORMAT) {
+            return { themeData, fromVersion, migrated: false };
+        }
+
+        let result = themeData;
+        for (let version = fromVersion; version < CURRENT_THEME_FORMAT; version++) {
+            result = THEME_MIGRATIONS[version](result);
+        }
+
+        // formatVersion - сразу после id
+        result = { id: result.id, formatVersion: CURRENT_THEME_FORMAT, ...result };
+
+        return { themeData: result, fromVersion, migrated: true };
+    }
+
+    /**
+     * Пара v1 → пара с rights
+     * Поля, которых v1 не знает (middle и т.п.), сохраняются
+     */
+    static migratePairV1(pair) {
+        if (!pair || typeof pair !== 'object' || pair.rights !== undefined) return pair;
+
+        const { right, rightCards, description, difficulty, ...rest } = pair;
+        const texts = Array.isArray(rightCards) ? rightCards : [right];
+
+        return {
+            ...rest,
+            rights: texts.filter(text => text !== undefined).map(text => {
+                const variant = {
+                    text,
+                    difficulty: difficulty === undefined ? MIGRATION_DEFAULT_DIFFICULTY : difficulty
+                };
+                if (description !== undefined) variant.description = description;
+                return variant;
+            })
+        };
+    }
+
+    /**
+     * Слить пары с одинаковым left (v1 так задавал несколько вариантов)
+     * Повторяющиеся тексты вариантов не дублируются
+     */
+    static mergePairsByLeft(pairs) {
+        const byLeft = new Map();
+        const merged = [];
+
+        pairs.forEach(pair => {
+            const key = pair && typeof pair.left === 'string' && Array.isArray(pair.rights) ?
+                pair.left.trim() :
+                null;
+            const target = key !== null ? byLeft.get(key) : undefined;
+
+            if (target) {
+                pair.rights
+                    .filter(right => !target.rights.some(existing => existing.text === right.text))
+                    .forEach(right => target.rights.push(right));
+                return;
+            }
+
+            const copy = key !== null ? { ...pair, rights: [...pair.rights] } : pair;
+            if (key !== null) byLeft.set(key, copy);
+            merged.push(copy);
+        });
+
+        return merged;
+    }
+
+    /**
+     * Одинаковые правые тексты в разных парах - alsoMatches на пары друг друга
+     * (пары после mergePairsByLeft; варианты меняются на месте)
+     */
+    static linkSharedRights(pairs) {
+        const owners = new Map();
+
+        pairs.forEach(pair => {
+            if (!pair || !Array.isArray(pair.rights) || pair.id === undefined) return;
+
+            pair.rights.forEach(right => {
+                if (!right || typeof right.text !== 'string') return;
+                const key = right.text.trim().toLowerCase();
+                if (!owners.has(key)) owners.set(key, []);
+                owners.get(key).push({ pair, right });
+            });
+        });
+
+        owners.forEach(list => {
+            list.forEach(({ pair, right }) => {
+                const others = list
+                    .map(other => other.pair.id)
+                    .filter(pairId => pairId !== pair.id && !(right.alsoMatches || []).includes(pairId));
+
+                if (others.length > 0) {
+                    right.alsoMatches = [...(right.alsoMatches || []), ...others];
+                }
+            });
+        });
+
+        return pairs;
+    }
+}
+
+// Экспорт для тестирования
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThemeMigrations;
+    module.exports.CURRENT_THEME_FORMAT = CURRENT_THEME_FORMAT;
+}
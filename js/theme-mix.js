@@ -0,0 +1,151 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * THEME MIX - Одна партия по нескольким темам (микс категории)
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * Пары всех тем собираются в одну тему обычного формата:
+ * - к pairId добавляется id темы ("world-cities__12"), в том числе
+ *   в ссылках alsoMatches - пары разных тем не пересекаются
+ * - у каждой пары есть source { themeId, title, icon } - значок на карточке
+ * - правила и распределения тем не переносятся (у тем они могут
+ *   противоречить друг другу) - действуют стандартные
+ *
+ * В URL микс - список тем: game.html?mix=movies-directors,tv-series-characters
+ * Результаты партий хранятся под id микса (getId),
+ * а повторение (mastery) - у исходных тем с исходными pairId.
+ */
+
+const MIX_ID_PREFIX = 'mix_';
+const MIX_PAIR_SEPARATOR = '__';
+
+// Сколько тем можно смешать
+const MIN_MIX_THEMES = 2;
+const MAX_MIX_THEMES = 8;
+
+class ThemeMix {
+    /**
+     * id микса (не зависит от порядка тем)
+     */
+    static getId(themeIds) {
+        return MIX_ID_PREFIX + [...themeIds].sort().join('_');
+    }
+
+    static namespacePairId(themeId, pairId) {
+        return `${themeId}${MIX_PAIR_SEPARATOR}${pairId}`;
+    }
+
+    /**
+     * Разобрать pairId микса
+     * @returns {Object|null} { themeId, pairId } или null, если id не из микса
+     */
+    static parsePairId(mixPairId) {
+        const text = String(mixPairId);
+        const index = text.indexOf(MIX_PAIR_SEPARATOR);
+        if (index <= 0) return null;
+
+        return {
+            themeId: text.slice(0, index),
+            pairId: text.slice(index + MIX_PAIR_SEPARATOR.length)
+        };
+    }
+
+    /**
+     * Проверить список тем из URL
+     * @returns {Array} Список ошибок (пустой - всё в порядке)
+     */
+    static validateThemeIds(themeIds) {
+        const errors = [];
+
+        if (new Set(themeIds).size !== themeIds.length) {
+            errors.push('темы повторяются');
+        }
+        if (themeIds.length < MIN_MIX_THEMES || themeIds.length > MAX_MIX_THEMES) {
+            errors.push(`нужно от ${MIN_MIX_THEMES} до ${MAX_MIX_THEMES} тем, указано ${themeIds.length}`);
+        }
+        // Сам id в сообщение не попадает: оно показывается на экране ошибки как HTML
+        const invalid = themeIds.filter(id => !/^[a-z0-9\-]+$/i.test(id)).length;
+        if (invalid > 0) {
+            errors.push(`некорректных id тем: ${invalid} (латиница, цифры и -)`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Собрать тему-микс
+     * @param {Array} sources - [{ id, data }] - id темы и её JSON (уже проверенный)
+     * @returns {Object} Данные темы (title, pairs, ...) + mix - список id тем
+     */
+    static combine(sources) {
+        const pairs = [];
+
+        sources.forEach(({ id, data }) => {
+            const source = { themeId: id, title: data.title, icon: data.icon || '📌' };
+
+            data.pairs.forEach(pair => {
+                pairs.push({
+                    ...pair,
+                    id: ThemeMix.namespacePairId(id, pair.id),
+                    rights: (pair.rights || []).map(right => right.alsoMatches ? {
+                        ...right,
+                        alsoMatches: right.alsoMatches.map(pairId => ThemeMix.namespacePairId(id, pairId))
+                    } : right),
+                    source
+                });
+            });
+        });
+
+        // Одинаковые заголовки колонок - как есть, разные - через "/"
+        const columnTitle = (key, fallback) => {
+            const titles = [...new Set(sources.map(({ data }) => data[key]?.title).filter(Boolean))];
+            return { title: titles.length > 0 ? titles.join(' / ') : fallback };
+        };
+
+        return {
+            id: ThemeMix.getId(sources.map(({ id }) => id)),
+            title: `Микс: ${sources.map(({ data }) => data.title).join(', ')}`,
+            description: `${pairs.length} пар из ${sources.length} тем`,
+            icon: '🔀',
+            leftColumn: columnTitle('leftColumn', 'Левая колонка'),
+            rightColumn: columnTitle('rightColumn', 'Правая колонка'),
+            pairs,
+            mix: sources.map(({ id }) => id)
+        };
+    }
+
+    /**
+     * Итоги партии по парам (GameModel.getPairResults) - по исходным темам
+     * @returns {Map} themeId → [{ pairId, ... }] с исходными pairId
+     */
+    static splitPairResults(pairResults) {
+        const byTheme = new Map();
+
+        pairResults.forEach(result => {
+            const parsed = ThemeMix.parsePairId(result.pairId);
+            if (!parsed) return;
+
+            if (!byTheme.has(parsed.themeId)) byTheme.set(parsed.themeId, []);
+            byTheme.get(parsed.themeId).push({ ...result, pairId: parsed.pairId });
+        });
+
+        return byTheme;
+    }
+
+    /**
+     * Повторение (mastery) исходной темы - с pairId микса
+     */
+    static namespaceMastery(themeId, mastery) {
+        const result = {};
+        Object.entries(mastery || {}).forEach(([pairId, entry]) => {
+            result[ThemeMix.namespacePairId(themeId, pairId)] = entry;
+        });
+        return result;
+    }
+}
+
+// Экспорт для тестирования
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThemeMix;
+    module.exports.MIN_MIX_THEMES = MIN_MIX_THEMES;
+    module.exports.MAX_MIX_THEMES = MAX_MIX_THEMES;
+}
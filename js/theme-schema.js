@@ -0,0 +1,328 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * THEME SCHEMA - Проверка файла темы по схеме с полным отчётом
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * THEME_SCHEMA - описание формата в духе JSON Schema. Поддерживаются
+ * type, required, properties, additionalProperties, items, minItems,
+ * minLength, pattern, enum, minimum, maximum и одно своё ключевое слово:
+ * recommended - поля, без которых тема работает, но хуже (предупреждение).
+ * Строки с minLength проверяются без пробелов по краям: "  " - пустая строка.
+ * Лишние поля (additionalProperties: false) - предупреждение, а не ошибка:
+ * чаще всего это опечатка в необязательном поле.
+ *
+ * Поверх схемы - проверки, которые схемой не выразить: повторы id и
+ * текстов, ссылки alsoMatches, блоки distributions и rules
+ * (DifficultyDistribution.validate, GameRules.validate).
+ *
+ * Проверка не останавливается на первой ошибке: validate возвращает
+ * все ошибки и предупреждения с путём в JSON ($.pairs[3].rights[0].text).
+ *
+ * Используется в игре (GameController.validateTheme)
+ * и в Node (scripts/lint-themes.js).
+ */
+
+// Меньше пар - не набрать доску
+const MIN_THEME_PAIRS = 6;
+
+// Названия типов для сообщений
+const TYPE_NAMES = {
+    object: 'объектом',
+    array: 'массивом',
+    string: 'строкой',
+    integer: 'целым числом',
+    number: 'числом',
+    boolean: 'true/false'
+};
+
+const THEME_SCHEMA = {
+    type: 'object',
+    required: ['id', 'title', 'pairs'],
+    recommended: ['description', 'icon', 'category', 'leftColumn', 'rightColumn'],
+    additionalProperties: false,
+    properties: {
+        id: { type: 'string', pattern: '^[a-z0-9-]+$' },
+        formatVersion: { type: 'integer', minimum: 1 },
+        title: { type: 'string', minLength: 1 },
+        description: { type: 'string', minLength: 1 },
+        icon: { type: 'string', minLength: 1 },
+        category: { type: 'string', minLength: 1 },
+        leftColumn: { $ref: 'column' },
+        middleColumn: { $ref: 'column' },
+        rightColumn: { $ref: 'column' },
+        distributions: { type: 'object' },
+        rules: { type: 'object' },
+        pairs: {
+            type: 'array',
+            minItems: MIN_THEME_PAIRS,
+            items: {
+                type: 'object',
+                required: ['id', 'left', 'rights'],
+                additionalProperties: false,
+                properties: {
+                    id: { type: ['integer', 'string'], minimum: 1, pattern: '^[A-Za-z0-9_-]+$' },
+                    left: { type: 'string', minLength: 1 },
+                    middle: { type: 'string', minLength: 1 },
+                    rights: {
+                        type: 'array',
+                        minItems: 1,
+                        items: {
+                            type: 'object',
+                            required: ['text', 'difficulty'],
+                            recommended: ['description'],
+                            additionalProperties: false,
+                            properties: {
+                                text: { type: 'string', minLength: 1 },
+                                difficulty: { type: 'integer', enum: [1, 2, 3] },
+                                description: { type: 'string', minLength: 1 },
+                                alsoMatches: {
+                                    type: 'array',
+                                    items: { type: ['integer', 'string'] }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    },
+    definitions: {
+        column: {
+            type: 'object',
+            required: ['title'],
+            additionalProperties: false,
+            properties: {
+                title: { type: 'string', minLength: 1 },
+                type: { type: 'string', minLength: 1 }
+            }
+        }
+    }
+};
+
+class ThemeSchema {
+    /**
+     * Проверить данные темы
+     * @param {*} themeData - Разобранный JSON файла темы
+     * @returns {Object} { valid, errors, warnings } - проблемы вида { path, message }
+     */
+    static validate(themeData) {
+        const report = { errors: [], warnings: [] };
+
+        ThemeSchema.checkNode(themeData, THEME_SCHEMA, '$', report);
+
+        // Смысловые проверки - только если структура пар в порядке
+        if (themeData && Array.isArray(themeData.pairs)) {
+            ThemeSchema.checkPairs(themeData.pairs, report);
+        }
+
+        if (themeData && themeData.distributions !== undefined) {
+            DifficultyDistribution.validate(themeData.distributions).forEach(message => {
+                report.errors.push({ path: '$.distributions', message });
+            });
+        }
+
+        if (themeData && themeData.rules !== undefined) {
+            GameRules.validate(themeData.rules).forEach(message => {
+                report.errors.push({ path: '$.rules', message });
+            });
+        }
+
+        return { valid: report.errors.length === 0, ...report };
+    }
+
+    /**
+     * Проверить значение по узлу схемы (рекурсивно)
+     */
+    static checkNode(value, schema, path, report) {
+        if (schema.$ref) {
+            schema = THEME_SCHEMA.definitions[schema.$ref];
+        }
+
+        const error = message => report.errors.push({ path, message });
+
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.includes(ThemeSchema.getType(value))) {
+                error(`должно быть ${types.map(type => TYPE_NAMES[type]).join(' или ')}`);
+                return;
+            }
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+                error('пустая строка');
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                error(`"${value}" не соответствует шаблону ${schema.pattern}`);
+            }
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                error(`должно быть не меньше ${schema.minimum}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                error(`должно быть не больше ${schema.maximum}`);
+            }
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            error(`должно быть одним из: ${schema.enum.join(', ')}`);
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                error(`мало элементов: нужно минимум ${schema.minItems}, есть ${value.length}`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => {
+                    ThemeSchema.checkNode(item, schema.items, `${path}[${index}]`, report);
+                });
+            }
+        }
+
+        if (ThemeSchema.getType(value) === 'object') {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) error(`нет обязательного поля ${key}`);
+            });
+            (schema.recommended || []).forEach(key => {
+                if (value[key] === undefined) {
+                    report.warnings.push({ path, message: `нет поля ${key}` });
+                }
+            });
+
+            const properties = schema.properties || {};
+            Object.entries(value).forEach(([key, item]) => {
+                if (properties[key]) {
+                    ThemeSchema.checkNode(item, properties[key], `${path}.${key}`, report);
+                } else if (schema.additionalProperties === false) {
+                    report.warnings.push({ path: `${path}.${key}`, message: 'неизвестное поле' });
+                }
+            });
+        }
+    }
+
+    /**
+     * Тип значения в терминах схемы
+     */
+    static getType(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (Number.isInteger(value)) return 'integer';
+        return typeof value;
+    }
+
+    /**
+     * Повторы и ссылки между парами
+     */
+    static checkPairs(pairs, report) {
+        const idPaths = new Map();
+        const leftPaths = new Map();
+
+        pairs.forEach((pair, index) => {
+            if (!pair || typeof pair !== 'object') return;
+            const path = `$.pairs[${index}]`;
+
+            if (pair.id !== undefined) {
+                const key = String(pair.id);
+                if (idPaths.has(key)) {
+                    report.errors.push({ path: `${path}.id`, message: `id ${pair.id} уже есть в ${idPaths.get(key)}` });
+                } else {
+                    idPaths.set(key, path);
+                }
+            }
+
+            if (typeof pair.left === 'string' && pair.left.trim()) {
+                const key = pair.left.trim().toLowerCase();
+                if (leftPaths.has(key)) {
+                    report.errors.push({ path: `${path}.left`, message: `"${pair.left}" уже есть в ${leftPaths.get(key)}` });
+                } else {
+                    leftPaths.set(key, path);
+                }
+            }
+        });
+
+        // Текст правого варианта → где он уже встречался в других парах
+        const rightOwners = new Map();
+
+        pairs.forEach((pair, index) => {
+            if (!pair || !Array.isArray(pair.rights)) return;
+            const textPaths = new Map();
+
+            pair.rights.forEach((right, rightIndex) => {
+                if (!right || typeof right !== 'object') return;
+                const path = `$.pairs[${index}].rights[${rightIndex}]`;
+
+                if (typeof right.text === 'string' && right.text.trim()) {
+                    const key = right.text.trim().toLowerCase();
+                    if (textPaths.has(key)) {
+                        report.errors.push({ path: `${path}.text`, message: `"${right.text}" уже есть в ${textPaths.get(key)}` });
+                    } else {
+                        textPaths.set(key, `${path}.text`);
+                        ThemeSchema.checkSharedRight(key, { pair, right, path: `${path}.text` }, rightOwners, report);
+                    }
+                }
+
+                if (Array.isArray(right.alsoMatches)) {
+                    right.alsoMatches.forEach((pairId, refIndex) => {
+                        if (String(pairId) === String(pair.id) || !idPaths.has(String(pairId))) {
+                            report.errors.push({
+                                path: `${path}.alsoMatches[${refIndex}]`,
+                                message: `ссылка на несуществующую или свою пару ${pairId}`
+                            });
+                        }
+                    });
+                }
+            });
+        });
+    }
+
+    /**
+     * Одинаковый правый вариант в разных парах - предупреждение: тема
+     * играется, такие пары не попадут в одну партию (ThemeAmbiguity).
+     * Варианты, которые ссылаются на пары друг друга через alsoMatches,
+     * подходят к обеим левым - о них не сообщаем
+     */
+    static checkSharedRight(key, owner, rightOwners, report) {
+        const refersTo = (right, pair) => Array.isArray(right.alsoMatches) &&
+            right.alsoMatches.some(pairId => String(pairId) === String(pair.id));
+
+        (rightOwners.get(key) || []).forEach(other => {
+            if (refersTo(owner.right, other.pair) && refersTo(other.right, owner.pair)) return;
+
+            report.warnings.push({
+                path: owner.path,
+                message: `"${owner.right.text}" уже есть в ${other.path} - в одну партию эти пары не попадут (подходит к обеим - укажите alsoMatches у обоих)`
+            });
+        });
+
+        if (!rightOwners.has(key)) rightOwners.set(key, []);
+        rightOwners.get(key).push(owner);
+    }
+
+    /**
+     * Проблема одной строкой: "$.pairs[3].left: пустая строка"
+     */
+    static formatProblem({ path, message }) {
+        return `${path}: ${message}`;
+    }
+}
+
+/**
+ * Тема не прошла проверку - все ошибки в errors
+ */
+class ThemeValidationError extends Error {
+    constructor(errors) {
+        super(`Файл темы содержит ошибки (${errors.length})`);
+        this.name = 'ThemeValidationError';
+        this.errors = errors;
+        this.details = errors.map(ThemeSchema.formatProblem);
+    }
+}
+
+// Экспорт для тестирования
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThemeSchema;
+    module.exports.THEME_SCHEMA = THEME_SCHEMA;
+    module.exports.ThemeValidationError = ThemeValidationError;
+}
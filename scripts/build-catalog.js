@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * BUILD CATALOG - data/themes.json из файлов data/themes/*.json
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * node scripts/build-catalog.js           - пересобрать каталог
+ * node scripts/build-catalog.js --check   - только проверить, что каталог актуален
+ *
+ * id, title, description, icon и category берутся из файла темы,
+ * остальное вычисляется:
+ * - pairCount - число пар
+ * - variantCounts - число вариантов правых карточек по сложности { 1, 2, 3 }
+ * - playableDifficulties - уровни, на которые хватает пар
+ *   (DifficultyDistribution.getPlayableDifficulties)
+ * - hash - sha256 файла темы (первые 16 символов)
+ *
+ * Каждый файл проверяется как в игре (обновление формата + схема).
+ * Если хоть в одном файле ошибка - каталог не записывается.
+ * Если неотличимые карточки (ThemeAmbiguity.countDroppable) могут сделать
+ * партию уровня неполной - предупреждение, уровень в каталоге остаётся.
+ * Порядок тем на главной сохраняется, новые темы - в конец (по id).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Модули игры написаны для браузера и ищут друг друга в глобальной области
+global.DifficultyDistribution = require('../js/difficulty-distribution.js');
+global.GameRules = require('../js/game-rules.js');
+global.TextMatching = require('../js/text-matching.js');
+const ThemeAmbiguity = require('../js/theme-ambiguity.js');
+const ThemeSchema = require('../js/theme-schema.js');
+const ThemeMigrations = require('../js/theme-migrations.js');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const THEMES_DIR = path.join(DATA_DIR, 'themes');
+const CATALOG_FILE = path.join(DATA_DIR, 'themes.json');
+
+// Длина хэша содержимого в каталоге
+const HASH_LENGTH = 16;
+
+/**
+ * Уровни, на которых партия может выйти короче из-за неотличимых карточек
+ * (selectCardsForGame не кладёт их в одну партию)
+ * @returns {Array} Строки предупреждений
+ */
+function getShortLevelWarnings(themeData, playableDifficulties) {
+    const droppable = ThemeAmbiguity.countDroppable(themeData.pairs);
+    if (droppable === 0) return [];
+
+    return playableDifficulties
+        .map(difficulty => ({
+            difficulty,
+            total: DifficultyDistribution.getTotal(DifficultyDistribution.forTheme(themeData, difficulty))
+        }))
+        .filter(({ total }) => themeData.pairs.length - droppable < total)
+        .map(({ difficulty, total }) =>
+            `уровень ${difficulty}: неотличимые карточки могут сократить партию до ${themeData.pairs.length - droppable} пар из ${total} (node scripts/lint-themes.js)`);
+}
+
+/**
+ * Запись каталога для файла темы
+ * @returns {Object} { entry, warnings } или { errors } - проблемы вида { path, message }
+ */
+function buildEntry(file) {
+    const source = fs.readFileSync(file);
+    let themeData;
+
+    try {
+        themeData = ThemeMigrations.migrate(JSON.parse(source.toString('utf8'))).themeData;
+    } catch (error) {
+        return { errors: [{ path: '$', message: error.message }] };
+    }
+
+    const { errors } = ThemeSchema.validate(themeData);
+    const expectedId = path.basename(file, '.json');
+    if (typeof themeData.id === 'string' && themeData.id !== expectedId) {
+        errors.push({ path: '$.id', message: `"${themeData.id}" не совпадает с именем файла (${expectedId})` });
+    }
+    if (errors.length > 0) return { errors };
+
+    const variantCounts = { 1: 0, 2: 0, 3: 0 };
+    themeData.pairs.forEach(pair => {
+        pair.rights.forEach(right => {
+            variantCounts[right.difficulty]++;
+        });
+    });
+
+    const playableDifficulties = DifficultyDistribution.getPlayableDifficulties(themeData);
+
+    return {
+        warnings: getShortLevelWarnings(themeData, playableDifficulties),
+        entry: {
+            id: themeData.id,
+            title: themeData.title,
+            description: themeData.description || '',
+            icon: themeData.icon || '📌',
+            category: themeData.category || 'Другое',
+            pairCount: themeData.pairs.length,
+            variantCounts,
+            playableDifficulties,
+            hash: crypto.createHash('sha256').update(source).digest('hex').slice(0, HASH_LENGTH)
+        }
+    };
+}
+
+/**
+ * Порядок id из текущего каталога (пустой, если каталога нет)
+ */
+function readCurrentOrder() {
+    try {
+        return JSON.parse(fs.readFileSync(CATALOG_FILE, 'utf8')).map(theme => theme.id);
+    } catch (error) {
+        return [];
+    }
+}
+
+function main() {
+    const checkOnly = process.argv.includes('--check');
+    const files = fs.readdirSync(THEMES_DIR)
+        .filter(name => name.endsWith('.json'))
+        .sort()
+        .map(name => path.join(THEMES_DIR, name));
+
+    const entries = [];
+    let failed = 0;
+
+    files.forEach(file => {
+        const { entry, errors, warnings } = buildEntry(file);
+        const name = path.relative(process.cwd(), file);
+
+        if (errors) {
+            failed++;
+            console.log(`❌ ${name}`);
+            errors.forEach(problem => console.log(`   ❌ ${ThemeSchema.formatProblem(problem)}`));
+            return;
+        }
+
+        console.log(`✅ ${name}: пар ${entry.pairCount}, уровни ${entry.playableDifficulties.join(', ') || 'нет'}`);
+        warnings.forEach(warning => console.log(`   ⚠️ ${warning}`));
+        entries.push(entry);
+    });
+
+    if (failed > 0) {
+        console.log(`\n💥 Файлов с ошибками: ${failed} - каталог не обновлён (подробности: node scripts/lint-themes.js)`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const order = readCurrentOrder();
+    const position = id => (order.includes(id) ? order.indexOf(id) : order.length);
+    entries.sort((a, b) => position(a.id) - position(b.id) || a.id.localeCompare(b.id));
+
+    const catalog = JSON.stringify(entries, null, 2) + '\n';
+    const current = fs.existsSync(CATALOG_FILE) ? fs.readFileSync(CATALOG_FILE, 'utf8') : '';
+
+    if (checkOnly) {
+        const upToDate = catalog === current;
+        console.log(upToDate ?
+            '\n✅ data/themes.json актуален' :
+            '\n❌ data/themes.json устарел - запустите node scripts/build-catalog.js');
+        process.exitCode = upToDate ? 0 : 1;
+        return;
+    }
+
+    fs.writeFileSync(CATALOG_FILE, catalog);
+    console.log(`\n📦 data/themes.json: ${entries.length} тем${catalog === current ? ' (без изменений)' : ''}`);
+}
+
+main();
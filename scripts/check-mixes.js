@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * CHECK MIXES - Загрузка миксов категорий тем же путём, что и в игре
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * node scripts/check-mixes.js
+ *
+ * Для каждой категории каталога, где есть кнопка микса (как на главной),
+ * микс грузится через GameController.loadGameTheme (та же загрузка и
+ * проверка, что в bootstrap), затем на каждом доступном уровне
+ * раздаётся доска (GameModel.initializeCards).
+ * Файлы тем отдаются с диска вместо сервера.
+ * Код выхода 1, если хотя бы один микс не загрузился или не раздался.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Модули игры написаны для браузера и ищут друг друга в глобальной области
+global.DifficultyDistribution = require('../js/difficulty-distribution.js');
+global.GameRules = require('../js/game-rules.js');
+global.TextMatching = require('../js/text-matching.js');
+global.ThemeAmbiguity = require('../js/theme-ambiguity.js');
+global.SeededRandom = require('../js/seeded-random.js');
+global.ThemeSchema = require('../js/theme-schema.js');
+global.ThemeValidationError = global.ThemeSchema.ThemeValidationError;
+global.ThemeMigrations = require('../js/theme-migrations.js');
+global.CURRENT_THEME_FORMAT = global.ThemeMigrations.CURRENT_THEME_FORMAT;
+global.ThemeMix = require('../js/theme-mix.js');
+global.GameSnapshotStore = require('../js/game-snapshot-store.js');
+const GameModel = require('../js/game-model.js');
+const GameController = require('../js/game-controller.js');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const CATALOG_FILE = path.join(ROOT_DIR, 'data', 'themes.json');
+
+// Игра грузит темы через fetch('data/themes/<id>.json') - отвечаем файлами
+global.fetch = async url => {
+    const file = path.join(ROOT_DIR, url);
+    if (!fs.existsSync(file)) {
+        return { ok: false, status: 404 };
+    }
+    const text = fs.readFileSync(file, 'utf8');
+    return { ok: true, status: 200, json: async () => JSON.parse(text) };
+};
+
+/**
+ * Миксы категорий - как кнопки на главной (ThemeLoader.createCategoryMixButton)
+ * @returns {Array} [{ category, themeIds, playable }]
+ */
+function listCategoryMixes() {
+    const byCategory = new Map();
+
+    JSON.parse(fs.readFileSync(CATALOG_FILE, 'utf8')).forEach(theme => {
+        const category = theme.category || 'Другое';
+        if (!byCategory.has(category)) byCategory.set(category, []);
+        byCategory.get(category).push(theme);
+    });
+
+    return [...byCategory.entries()]
+        .filter(([, themes]) => themes.length >= ThemeMix.MIN_MIX_THEMES)
+        .map(([category, themes]) => {
+            const selected = themes.slice(0, ThemeMix.MAX_MIX_THEMES);
+            return {
+                category,
+                themeIds: selected.map(theme => theme.id),
+                // Уровень доступен миксу, если доступен хотя бы одной его теме
+                playable: [1, 2, 3].filter(level =>
+                    selected.some(theme => (theme.playableDifficulties || [1, 2, 3]).includes(level)))
+            };
+        });
+}
+
+/**
+ * @returns {Array} Список проблем микса (пустой - всё в порядке)
+ */
+async function checkMix({ themeIds, playable }) {
+    const controller = new GameController(null, { updateLoadingMessage() {} });
+    controller.mixThemeIds = themeIds;
+
+    let themeData;
+    try {
+        themeData = await controller.loadGameTheme(null);
+    } catch (error) {
+        return [error.message, ...(error.details || [])];
+    }
+
+    const problems = [];
+    playable.forEach(difficulty => {
+        const model = new GameModel({ random: new SeededRandom(`check-${difficulty}`) });
+        model.themeId = themeData.id;
+        model.difficulty = difficulty;
+        model.initializeCards(themeData.pairs, controller.getDistributionForDifficulty(difficulty, themeData));
+
+        if (model.getAllBoardCards().length === 0) {
+            problems.push(`уровень ${difficulty}: пустая доска`);
+        }
+    });
+
+    return problems;
+}
+
+async function main() {
+    const mixes = listCategoryMixes();
+    const { log, warn, error } = console;
+    let failed = 0;
+
+    for (const mix of mixes) {
+        // Игровые модули подробно пишут в консоль - здесь нужен только итог
+        console.log = console.warn = console.error = () => {};
+        const problems = await checkMix(mix);
+        Object.assign(console, { log, warn, error });
+
+        if (problems.length > 0) failed++;
+        log(`${problems.length > 0 ? '❌' : '✅'} ${mix.category}: ${mix.themeIds.join(', ')} (уровни ${mix.playable.join(', ')})`);
+        problems.forEach(problem => log(`   ❌ ${problem}`));
+    }
+
+    log(`\n📊 Проверено миксов: ${mixes.length}, с ошибками: ${failed}`);
+    process.exitCode = failed > 0 ? 1 : 0;
+}
+
+main();
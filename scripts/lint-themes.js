@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * LINT THEMES - Проверка файлов тем той же схемой, что и в игре
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * node scripts/lint-themes.js                      - все data/themes/*.json
+ * node scripts/lint-themes.js data/themes/a.json   - указанные файлы
+ *
+ * Печатает все ошибки и предупреждения с путём в JSON,
+ * в том числе неотличимые карточки разных пар (theme-ambiguity.js).
+ * Код выхода 1, если хотя бы в одном файле есть ошибки.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Модули игры написаны для браузера и ищут друг друга в глобальной области
+global.DifficultyDistribution = require('../js/difficulty-distribution.js');
+global.GameRules = require('../js/game-rules.js');
+global.TextMatching = require('../js/text-matching.js');
+const ThemeSchema = require('../js/theme-schema.js');
+const ThemeMigrations = require('../js/theme-migrations.js');
+const ThemeAmbiguity = require('../js/theme-ambiguity.js');
+
+const THEMES_DIR = path.join(__dirname, '..', 'data', 'themes');
+
+function listThemeFiles() {
+    return fs.readdirSync(THEMES_DIR)
+        .filter(name => name.endsWith('.json'))
+        .sort()
+        .map(name => path.join(THEMES_DIR, name));
+}
+
+/**
+ * @returns {Object} { errors, warnings } - как у ThemeSchema.validate
+ */
+function lintFile(file) {
+    let raw;
+    let migration;
+
+    try {
+        raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        return { errors: [{ path: '$', message: `не разбирается как JSON: ${error.message}` }], warnings: [] };
+    }
+
+    try {
+        // Проверяем тему такой, какой её увидит игра - после обновления формата
+        migration = ThemeMigrations.migrate(raw);
+    } catch (error) {
+        return { errors: [{ path: '$.formatVersion', message: error.message }], warnings: [] };
+    }
+
+    const { themeData } = migration;
+    const { errors, warnings } = ThemeSchema.validate(themeData);
+
+    if (migration.migrated) {
+        warnings.push({
+            path: '$.formatVersion',
+            message: `формат v${migration.fromVersion} - обновится при загрузке, переписать файл: node scripts/migrate-themes.js ${path.relative(process.cwd(), file)}`
+        });
+    }
+
+    // id темы - это имя файла (ThemeLoader грузит data/themes/<id>.json)
+    const expectedId = path.basename(file, '.json');
+    if (themeData && typeof themeData.id === 'string' && themeData.id !== expectedId) {
+        errors.push({ path: '$.id', message: `"${themeData.id}" не совпадает с именем файла (${expectedId})` });
+    }
+
+    // Неоднозначности не мешают загрузке: в партию такие пары вместе не попадут
+    // Точные повторы правых вариантов схема уже назвала - второй раз не пишем
+    if (errors.length === 0) {
+        const reported = new Set(warnings.map(problem => problem.path));
+        ThemeAmbiguity.analyze(themeData.pairs).forEach(collision => {
+            if (reported.has(collision.b.path)) return;
+            warnings.push({ path: collision.b.path, message: ThemeAmbiguity.formatCollision(collision) });
+        });
+    }
+
+    return { errors, warnings };
+}
+
+function main() {
+    const files = process.argv.length > 2 ? process.argv.slice(2) : listThemeFiles();
+    let failed = 0;
+
+    files.forEach(file => {
+        const { errors, warnings } = lintFile(file);
+        const name = path.relative(process.cwd(), file);
+
+        console.log(`${errors.length > 0 ? '❌' : '✅'} ${name}: ошибок ${errors.length}, предупреждений ${warnings.length}`);
+        errors.forEach(problem => console.log(`   ❌ ${ThemeSchema.formatProblem(problem)}`));
+        warnings.forEach(problem => console.log(`   ⚠️ ${ThemeSchema.formatProblem(problem)}`));
+
+        if (errors.length > 0) failed++;
+    });
+
+    console.log(`\n📊 Проверено файлов: ${files.length}, с ошибками: ${failed}`);
+    process.exitCode = failed > 0 ? 1 : 0;
+}
+
+main();
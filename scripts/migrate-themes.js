@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * MIGRATE THEMES - Переписать файлы тем в текущий формат
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * node scripts/migrate-themes.js                       - все data/themes/old/*.json
+ * node scripts/migrate-themes.js data/themes/a.json    - указанные файлы
+ * node scripts/migrate-themes.js --dry-run             - только показать, что изменится
+ * node scripts/migrate-themes.js --help                - справка (другие флаги - ошибка)
+ *
+ * Обновление то же, что делает игра при загрузке (js/theme-migrations.js).
+ * Файлы в текущем формате не трогаются. После обновления тема
+ * проверяется схемой и по имени файла - если остались ошибки, которые
+ * обновлением не исправить (мало пар, id не совпадает с именем файла),
+ * файл не переписывается и считается неудачным: ошибки выводятся списком.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Модули игры написаны для браузера и ищут друг друга в глобальной области
+global.DifficultyDistribution = require('../js/difficulty-distribution.js');
+global.GameRules = require('../js/game-rules.js');
+const ThemeSchema = require('../js/theme-schema.js');
+const ThemeMigrations = require('../js/theme-migrations.js');
+
+const OLD_THEMES_DIR = path.join(__dirname, '..', 'data', 'themes', 'old');
+
+function listOldThemeFiles() {
+    return fs.readdirSync(OLD_THEMES_DIR)
+        .filter(name => name.endsWith('.json'))
+        .sort()
+        .map(name => path.join(OLD_THEMES_DIR, name));
+}
+
+/**
+ * @returns {boolean} false - файл не удалось прочитать, обновить или он не прошёл проверку
+ */
+function migrateFile(file, dryRun) {
+    const name = path.relative(process.cwd(), file);
+    let migration;
+
+    try {
+        migration = ThemeMigrations.migrate(JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (error) {
+        console.log(`❌ ${name}: ${error.message}`);
+        return false;
+    }
+
+    if (!migration.migrated) {
+        console.log(`⏭️ ${name}: уже в текущем формате`);
+        return true;
+    }
+
+    const { themeData } = migration;
+    const { errors } = ThemeSchema.validate(themeData);
+    const pairs = themeData.pairs.length;
+
+    // id темы - это имя файла (как в scripts/lint-themes.js)
+    const expectedId = path.basename(file, '.json');
+    if (typeof themeData.id === 'string' && themeData.id !== expectedId) {
+        errors.push({ path: '$.id', message: `"${themeData.id}" не совпадает с именем файла (${expectedId})` });
+    }
+
+    if (errors.length > 0) {
+        console.log(`❌ ${name}: v${migration.fromVersion} → v${ThemeMigrations.CURRENT_THEME_FORMAT}, пар ${pairs} - ошибок ${errors.length}, файл не изменён`);
+        errors.forEach(problem => console.log(`   ❌ ${ThemeSchema.formatProblem(problem)}`));
+        return false;
+    }
+
+    if (!dryRun) {
+        fs.writeFileSync(file, JSON.stringify(themeData, null, 2) + '\n');
+    }
+
+    console.log(`${dryRun ? '👀' : '✅'} ${name}: v${migration.fromVersion} → v${ThemeMigrations.CURRENT_THEME_FORMAT}, пар ${pairs}`);
+
+    return true;
+}
+
+function printUsage() {
+    console.log('Использование:');
+    console.log('  node scripts/migrate-themes.js [data/themes/a.json ...] [--dry-run]');
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const flags = args.filter(arg => arg.startsWith('--'));
+    const fileArgs = args.filter(arg => !arg.startsWith('--'));
+
+    // Неизвестный флаг (--help, опечатка) - не путь к файлу
+    const unknownFlags = flags.filter(flag => flag !== '--dry-run');
+    if (unknownFlags.length > 0) {
+        if (!unknownFlags.includes('--help')) {
+            console.log(`❌ Неизвестный флаг: ${unknownFlags.join(', ')}`);
+        }
+        printUsage();
+        process.exitCode = unknownFlags.includes('--help') ? 0 : 1;
+        return;
+    }
+
+    const dryRun = flags.includes('--dry-run');
+    const files = fileArgs.length > 0 ? fileArgs : listOldThemeFiles();
+
+    const failed = files.filter(file => !migrateFile(file, dryRun)).length;
+
+    console.log(`\n📊 Файлов: ${files.length}, с ошибками: ${failed}${dryRun ? ' (пробный запуск, файлы не изменены)' : ''}`);
+    process.exitCode = failed > 0 ? 1 : 0;
+}
+
+main();
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * THEME CSV - Импорт темы из таблицы и экспорт обратно
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * node scripts/theme-csv.js export data/themes/a.json [a.csv|a.tsv]
+ *     - пары темы в таблицу (без файла - в консоль; --tsv - через табуляцию)
+ *
+ * node scripts/theme-csv.js import a.csv data/themes/a.json [--dry-run]
+ *     - пары из таблицы в файл темы. Если файл есть - его поля (title,
+ *       колонки, rules...) сохраняются, заменяются только пары.
+ *       Новая тема: id - имя файла, поля задаются флагами
+ *       --title, --description, --icon, --category, --left, --right
+ *
+ * Формат таблицы - js/theme-csv.js. Тема проверяется как в игре
+ * (обновление формата + схема); при ошибках файл не записывается.
+ * После импорта пересоберите каталог: node scripts/build-catalog.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Модули игры написаны для браузера и ищут друг друга в глобальной области
+global.DifficultyDistribution = require('../js/difficulty-distribution.js');
+global.GameRules = require('../js/game-rules.js');
+global.TextMatching = require('../js/text-matching.js');
+const ThemeSchema = require('../js/theme-schema.js');
+const ThemeMigrations = require('../js/theme-migrations.js');
+const ThemeAmbiguity = require('../js/theme-ambiguity.js');
+const ThemeCsv = require('../js/theme-csv.js');
+
+// Флаги import → поля новой темы
+const META_FLAGS = {
+    '--title': 'title',
+    '--description': 'description',
+    '--icon': 'icon',
+    '--category': 'category'
+};
+
+/**
+ * Разобрать аргументы: позиционные, флаги без значения и флаги со значением
+ */
+function parseArgs(argv) {
+    const positional = [];
+    const flags = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+        } else if (arg === '--dry-run' || arg === '--tsv') {
+            flags[arg] = true;
+        } else {
+            flags[arg] = argv[++i];
+        }
+    }
+
+    return { positional, flags };
+}
+
+function printProblems(errors, warnings) {
+    errors.forEach(problem => console.log(`   ❌ ${ThemeSchema.formatProblem(problem)}`));
+    warnings.forEach(problem => console.log(`   ⚠️ ${ThemeSchema.formatProblem(problem)}`));
+}
+
+function exportTheme(themeFile, outFile, flags) {
+    const { themeData } = ThemeMigrations.migrate(JSON.parse(fs.readFileSync(themeFile, 'utf8')));
+    const delimiter = flags['--tsv'] || (outFile && outFile.endsWith('.tsv')) ? '\t' : ',';
+    const table = ThemeCsv.exportTheme(themeData, delimiter);
+
+    if (!outFile) {
+        process.stdout.write(table);
+        return true;
+    }
+
+    fs.writeFileSync(outFile, table);
+    const variants = themeData.pairs.reduce((sum, pair) => sum + pair.rights.length, 0);
+    console.log(`✅ ${outFile}: пар ${themeData.pairs.length}, строк ${variants}`);
+    return true;
+}
+
+/**
+ * Основа новой темы: id из имени файла, остальное - из флагов
+ */
+function createBase(themeFile, flags) {
+    const base = { id: path.basename(themeFile, '.json') };
+
+    Object.entries(META_FLAGS).forEach(([flag, field]) => {
+        if (flags[flag] !== undefined) base[field] = flags[flag];
+    });
+    if (flags['--left'] !== undefined) base.leftColumn = { title: flags['--left'] };
+    if (flags['--right'] !== undefined) base.rightColumn = { title: flags['--right'] };
+
+    return base;
+}
+
+function importTheme(tableFile, themeFile, flags) {
+    const exists = fs.existsSync(themeFile);
+    const base = exists ?
+        ThemeMigrations.migrate(JSON.parse(fs.readFileSync(themeFile, 'utf8'))).themeData :
+        createBase(themeFile, flags);
+
+    const { themeData, errors, warnings } = ThemeCsv.importTheme(fs.readFileSync(tableFile, 'utf8'), base);
+
+    if (themeData) {
+        const report = ThemeSchema.validate(themeData);
+        errors.push(...report.errors);
+        warnings.push(...report.warnings);
+
+        const expectedId = path.basename(themeFile, '.json');
+        if (themeData.id !== expectedId) {
+            errors.push({ path: '$.id', message: `"${themeData.id}" не совпадает с именем файла (${expectedId})` });
+        }
+        if (report.errors.length === 0) {
+            ThemeAmbiguity.analyze(themeData.pairs).forEach(collision => {
+                warnings.push({ path: collision.b.path, message: ThemeAmbiguity.formatCollision(collision) });
+            });
+        }
+    }
+
+    if (errors.length > 0) {
+        console.log(`❌ ${tableFile}: ошибок ${errors.length} - ${themeFile} не изменён`);
+        printProblems(errors, warnings);
+        return false;
+    }
+
+    if (!flags['--dry-run']) {
+        fs.writeFileSync(themeFile, JSON.stringify(themeData, null, 2) + '\n');
+    }
+
+    const action = exists ? 'пары заменены' : 'тема создана';
+    console.log(`${flags['--dry-run'] ? '👀' : '✅'} ${themeFile}: ${action}, пар ${themeData.pairs.length}`);
+    printProblems(errors, warnings);
+    if (!flags['--dry-run']) {
+        console.log('📦 Пересоберите каталог: node scripts/build-catalog.js');
+    }
+    return true;
+}
+
+function main() {
+    const { positional, flags } = parseArgs(process.argv.slice(2));
+    const [command, source, target] = positional;
+
+    let ok;
+    try {
+        if (command === 'export' && source) {
+            ok = exportTheme(source, target, flags);
+        } else if (command === 'import' && source && target) {
+            ok = importTheme(source, target, flags);
+        } else {
+            console.log('Использование:');
+            console.log('  node scripts/theme-csv.js export data/themes/a.json [a.csv|a.tsv] [--tsv]');
+            console.log('  node scripts/theme-csv.js import a.csv data/themes/a.json [--dry-run] [--title ...]');
+            ok = false;
+        }
+    } catch (error) {
+        console.log(`❌ ${error.message}`);
+        ok = false;
+    }
+
+    process.exitCode = ok ? 0 : 1;
+}
+
+main();